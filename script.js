@@ -9,15 +9,86 @@
 const CONFIG = {
     strings: 6,
     frets: 22,
-    stringNotes: ['E', 'A', 'D', 'G', 'B', 'E'], // Low E to High E (string 6 to string 1)
-    markerFrets: [3, 5, 7, 9, 12, 15, 17, 19, 21], // Standard fret marker positions
-    doubleMarkerFrets: [12], // Double dot positions
+    stringNotes: ['E', 'A', 'D', 'G', 'B', 'E'], // Lowest to highest string (string 6 to string 1)
+    markerFrets: [3, 5, 7, 9, 12, 15, 17, 19, 21, 24], // Standard fret marker positions
+    doubleMarkerFrets: [12, 24], // Double dot positions
 };
 
 // Note names for calculating pitches
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
-// Open string note indices (for calculating notes at each fret)
+// Natural note letters and their semitone indices (for enharmonic spelling)
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_INDICES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+// Guitar tuning presets, lowest string first (applied with setTuning)
+const TUNINGS = {
+    standard: { label: 'Standard', notes: ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+    halfStepDown: { label: 'Half-step down', notes: ['Eb2', 'Ab2', 'Db3', 'Gb3', 'Bb3', 'Eb4'] },
+    dropD: { label: 'Drop D', notes: ['D2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+    dadgad: { label: 'DADGAD', notes: ['D2', 'A2', 'D3', 'G3', 'A3', 'D4'] },
+    openG: { label: 'Open G', notes: ['D2', 'G2', 'D3', 'G3', 'B3', 'D4'] },
+    openD: { label: 'Open D', notes: ['D2', 'A2', 'D3', 'F#3', 'A3', 'D4'] },
+};
+
+// Instrument profiles (applied with setInstrument)
+// voicingRules override VOICING_RULES for the chord engine, envelope overrides SYNTH_ENVELOPE
+const INSTRUMENTS = {
+    guitar: { label: 'Guitar', frets: 22, tunings: TUNINGS, voicingRules: {} },
+    guitar7: {
+        label: '7-string guitar',
+        frets: 24,
+        tunings: {
+            standard: { label: 'Standard (B)', notes: ['B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+            dropA: { label: 'Drop A', notes: ['A1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+        },
+        voicingRules: { maxStrings: 6 },
+    },
+    guitar8: {
+        label: '8-string guitar',
+        frets: 24,
+        tunings: {
+            standard: { label: 'Standard (F#)', notes: ['F#1', 'B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+            dropE: { label: 'Drop E', notes: ['E1', 'B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+        },
+        voicingRules: { maxStrings: 6 },
+    },
+    bass: {
+        label: 'Bass',
+        frets: 20,
+        tunings: {
+            standard: { label: 'Standard', notes: ['E1', 'A1', 'D2', 'G2'] },
+            dropD: { label: 'Drop D', notes: ['D1', 'A1', 'D2', 'G2'] },
+            fiveString: { label: '5-string (low B)', notes: ['B0', 'E1', 'A1', 'D2', 'G2'] },
+        },
+        voicingRules: { minStrings: 2, maxStrings: 3, maxInnerMutes: 0 },
+        envelope: { decay: 0.6, sustain: 0.4, release: 1.6 },
+    },
+    ukulele: {
+        label: 'Ukulele',
+        frets: 15,
+        tunings: {
+            standard: { label: 'Standard (gCEA)', notes: ['G4', 'C4', 'E4', 'A4'] },
+            lowG: { label: 'Low G', notes: ['G3', 'C4', 'E4', 'A4'] },
+            baritone: { label: 'Baritone (DGBE)', notes: ['D3', 'G3', 'B3', 'E4'] },
+        },
+        // Re-entrant tuning: every string rings and the root need not be in the bass
+        voicingRules: { minStrings: 4, maxInnerMutes: 0, rootInBass: false },
+        envelope: { decay: 0.2, sustain: 0.1, release: 0.6 },
+    },
+    mandolin: {
+        label: 'Mandolin',
+        frets: 20,
+        tunings: {
+            standard: { label: 'Standard (GDAE)', notes: ['G3', 'D4', 'A4', 'E5'] },
+        },
+        // Tuned in fifths: wider stretches on a short scale
+        voicingRules: { maxSpan: 5, minStrings: 4, maxInnerMutes: 0, rootInBass: false },
+        envelope: { decay: 0.15, sustain: 0.05, release: 0.5 },
+    },
+};
+
+// Open string note indices for the active tuning (for calculating notes at each fret)
 const OPEN_STRING_NOTES = {
     6: 4,  // E
     5: 9,  // A
@@ -30,11 +101,39 @@ const OPEN_STRING_NOTES = {
 // ================================
 // STATE MANAGEMENT
 // ================================
+
+/**
+ * Progression optimizer constraints (null = no limit)
+ * Fret limits, barres and the top string are hard limits; open chords and keeping one
+ * shape are preferences weighed in the cost.
+ */
+const DEFAULT_CONSTRAINTS = {
+    preferOpen: false,  // Favour voicings with open strings
+    minFret: null,      // Lowest fret the fretting hand may use
+    maxFret: null,      // Highest fret the fretting hand may use
+    avoidBarres: false, // Skip voicings that need a barre
+    topString: null,    // String that must carry the highest note
+    sameShape: false,   // Keep one shape (e.g. E-shape) across the progression
+};
+
 const state = {
     activeNotes: [], // Array of {string, fret, isRoot} objects
     currentChord: null,
+    currentScale: null,   // {root, scale} when a scale is displayed
+    currentKey: null,     // {tonic, mode} of the loaded song/progression (used for spelling)
     useFlats: false,
+    showDegrees: false,  // Label markers with interval degrees instead of note names
+    showFingering: true, // Label chord markers with left-hand fingers and draw barres
+    showChordBox: false, // Full-size chord box of the displayed shape under the fretboard
     soundEnabled: true,  // Sound toggle
+    instrument: 'guitar', // Key of INSTRUMENTS
+    tuning: 'standard',  // Tuning key of the instrument, or 'custom'
+    capo: 0,             // Capo fret (0 = no capo); acts as the nut for open strings
+    currentSong: null,   // Song shown through showSongDetails, in its current key
+    handProfile: {       // Player the voicings are chosen for
+        maxStretch: 4,   // Frets the fretting hand covers comfortably (inclusive)
+        level: 'intermediate', // Key of HAND_LEVELS
+    },
     // Progression state
     progression: {
         chords: [],           // Array of chord names
@@ -44,6 +143,37 @@ const state = {
         tempo: 80,            // BPM
         beatsPerChord: 2,     // Beats before changing chord
         loopEnabled: true,    // Loop at end
+        family: 'standard',   // Voicing family (key of VOICING_FAMILIES)
+        showCapoAdvice: false, // Capo advisor open under the controls
+        showScales: false,    // Chord-scale overlay for improvising
+        showReharm: false,    // Substitution panel for the current chord
+        showVoiceLeading: false, // Held tones and voice movement arrows between chords
+        optimizeFor: 'hand',  // Optimizer cost: 'hand' (position) or 'voices' (smooth voice leading)
+        pinned: [],           // {voicing, tuning} locked per chord index (null = free)
+        constraints: { ...DEFAULT_CONSTRAINTS }, // Optimizer constraints (see DEFAULT_CONSTRAINTS)
+        showConstraints: false, // Constraint panel open under the controls
+        showPaths: false,     // Alternative optimizer paths open under the controls
+        paths: [],            // Best paths from the last optimizer run (see findProgressionPaths)
+        melody: [],           // Melody note kept on top per chord index (null = free)
+        showChordBoxes: false, // Small chord boxes inside the chips
+    },
+    // Diatonic chord palette
+    keyPalette: {
+        key: null,            // {tonic, mode} shown in the palette (null = closed)
+        scale: 'major',       // Key of DIATONIC_SCALES
+    },
+    // Voicing browser state (single chords)
+    voicingBrowser: {
+        chordName: null,      // Chord being browsed
+        voicings: [],         // Voicings matching the filters, ordered along the neck
+        index: 0,             // Voicing shown on the fretboard
+        topNote: null,        // Melody note every browsed voicing keeps on top (null = any)
+        filters: {
+            region: 'all',    // Key of NECK_REGIONS
+            stringSet: 'all', // Key of STRING_SETS
+            allowOpen: true,  // Include voicings with open strings
+            family: 'standard', // Key of VOICING_FAMILIES
+        },
     },
 };
 
@@ -55,8 +185,8 @@ let guitarSynth = null;
 let audioStarted = false;
 
 /**
- * Guitar string frequencies (standard tuning, open strings)
- * String 6 (low E) = E2, String 1 (high E) = E4
+ * Guitar string frequencies (open strings of the active tuning)
+ * Standard tuning: string 6 (low E) = E2, string 1 (high E) = E4
  */
 const STRING_FREQUENCIES = {
     6: 'E2',   // Low E - 82.41 Hz
@@ -67,6 +197,24 @@ const STRING_FREQUENCIES = {
     1: 'E4',   // High E - 329.63 Hz
 };
 
+/**
+ * Synth amplitude envelope (instrument profiles may override parts of it)
+ */
+const SYNTH_ENVELOPE = {
+    attack: 0.005,
+    decay: 0.3,
+    sustain: 0.2,
+    release: 1.2
+};
+
+/**
+ * Get the synth envelope for the active instrument
+ * @returns {Object} Tone.js envelope options
+ */
+function getSynthEnvelope() {
+    return { ...SYNTH_ENVELOPE, ...INSTRUMENTS[state.instrument].envelope };
+}
+
 /**
  * Initialize the Tone.js guitar synth
  */
@@ -81,12 +229,7 @@ function initAudio() {
             modulationIndex: 2,
             harmonicity: 1
         },
-        envelope: {
-            attack: 0.005,
-            decay: 0.3,
-            sustain: 0.2,
-            release: 1.2
-        }
+        envelope: getSynthEnvelope()
     }).toDestination();
     
     // Add some reverb for a more natural guitar sound
@@ -118,33 +261,21 @@ async function startAudio() {
 
 /**
  * Calculate the frequency/note for a specific string and fret
- * @param {number} stringNum - String number (1-6)
+ * @param {number} stringNum - String number (1 = highest string)
  * @param {number} fretNum - Fret number (0-22)
  * @returns {string} Note name with octave (e.g., 'E4', 'F#3')
  */
 function getFrequencyAtPosition(stringNum, fretNum) {
-    const openNote = STRING_FREQUENCIES[stringNum];
-    if (!openNote) return 'C4'; // fallback
+    if (!STRING_FREQUENCIES[stringNum]) return 'C4'; // fallback
     
-    // Parse the open string note and octave
-    const notePart = openNote.slice(0, -1);
-    const octave = parseInt(openNote.slice(-1));
-    
-    // Get semitones from open string
-    const openNoteIndex = NOTE_NAMES.indexOf(notePart.replace('#', '').replace('b', ''));
-    const actualNoteIndex = (openNoteIndex + fretNum) % 12;
-    const octaveIncrease = Math.floor((openNoteIndex + fretNum) / 12);
-    
-    // Build the note name
-    const noteName = NOTE_NAMES[actualNoteIndex];
-    const finalOctave = octave + octaveIncrease;
-    
-    return `${noteName}${finalOctave}`;
+    // Work from the absolute pitch so flat open strings (e.g. Eb2) and octave changes are exact
+    const midi = getMidiAtPosition(stringNum, fretNum);
+    return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
 }
 
 /**
  * Play a single note
- * @param {number} stringNum - String number (1-6)
+ * @param {number} stringNum - String number (1 = highest string)
  * @param {number} fretNum - Fret number (0-22)
  * @param {number} duration - Duration in seconds (default: 1)
  */
@@ -181,27 +312,37 @@ function playChord(positions, duration = 1.5) {
 
 /**
  * Strum the active chord (play notes in sequence from low to high)
+ * The lowest sounding note is treated as the bass: it leads a down-strum and is
+ * slightly accented, so slash chords like G/B are heard over their bass.
  * @param {string} direction - 'down' (low to high) or 'up' (high to low)
  * @param {number} strumSpeed - Time between each note in ms (default: 30)
  */
 function strumChord(direction = 'down', strumSpeed = 30) {
-    if (!state.soundEnabled || state.activeNotes.length === 0) return;
+    // Take the notes now: they may be cleared while the audio starts
+    const positions = [...state.activeNotes];
+    if (!state.soundEnabled || positions.length === 0) return;
     
     startAudio().then(() => {
         if (!guitarSynth) return;
         
-        // Sort notes by string number
-        const sortedNotes = [...state.activeNotes].sort((a, b) => {
-            // For down strum: low strings (6) first
-            // For up strum: high strings (1) first
-            return direction === 'down' ? b.string - a.string : a.string - b.string;
-        });
+        // Find the bass (lowest sounding note)
+        const bassNote = positions.reduce((lowest, pos) =>
+            getMidiAtPosition(pos.string, pos.fret) < getMidiAtPosition(lowest.string, lowest.fret) ? pos : lowest
+        );
+        
+        // Sort by string number
+        // For down strum: bass, then low strings (6) first
+        // For up strum: high strings (1) first
+        const sortedNotes = direction === 'down'
+            ? [bassNote, ...positions.filter(pos => pos !== bassNote).sort((a, b) => b.string - a.string)]
+            : [...positions].sort((a, b) => a.string - b.string);
         
         // Play each note with a slight delay
         sortedNotes.forEach((pos, index) => {
             setTimeout(() => {
                 const note = getFrequencyAtPosition(pos.string, pos.fret);
-                guitarSynth.triggerAttackRelease(note, 1.2);
+                const velocity = pos === bassNote ? 1 : 0.8;
+                guitarSynth.triggerAttackRelease(note, 1.2, undefined, velocity);
                 vibrateString(pos.string);
             }, index * strumSpeed);
         });
@@ -239,7 +380,16 @@ function toggleSound() {
 function getNoteAtPosition(stringNum, fretNum) {
     const openNoteIndex = OPEN_STRING_NOTES[stringNum];
     const noteIndex = (openNoteIndex + fretNum) % 12;
-    let noteName = NOTE_NAMES[noteIndex];
+    return getNoteName(noteIndex);
+}
+
+/**
+ * Get the display name of a semitone index, honouring the Sharps/Flats toggle
+ * @param {number} noteIndex - Semitone index (0-11, C=0)
+ * @returns {string} Note name (e.g., 'F#' or 'Gb')
+ */
+function getNoteName(noteIndex) {
+    let noteName = NOTE_NAMES[((noteIndex % 12) + 12) % 12];
     
     // Convert sharps to flats if needed
     if (state.useFlats && noteName.includes('#')) {
@@ -252,6 +402,31 @@ function getNoteAtPosition(stringNum, fretNum) {
     return noteName;
 }
 
+/**
+ * Convert a note with octave to a MIDI number
+ * @param {string} note - e.g., 'E2', 'F#3', 'Bb4'
+ * @returns {number} MIDI note number (C4 = 60), or -1 if unparseable
+ */
+function noteToMidi(note) {
+    const match = /^([A-G])(#{1,2}|b{1,2})?(-?\d+)$/.exec(note);
+    if (!match) return -1;
+    
+    // Accidentals may cross the octave boundary (Cb4 = B3, B#3 = C4)
+    const [, letter, accidentals = '', octave] = match;
+    const offset = accidentals.startsWith('#') ? accidentals.length : -accidentals.length;
+    return (parseInt(octave, 10) + 1) * 12 + LETTER_INDICES[letter] + offset;
+}
+
+/**
+ * Get the absolute pitch (MIDI number) at a string and fret
+ * @param {number} stringNum - String number
+ * @param {number} fretNum - Fret number
+ * @returns {number} MIDI note number
+ */
+function getMidiAtPosition(stringNum, fretNum) {
+    return noteToMidi(STRING_FREQUENCIES[stringNum]) + fretNum;
+}
+
 /**
  * Generate a unique ID for a fret position
  * @param {number} stringNum - String number
@@ -286,7 +461,8 @@ function renderFretboard() {
 
     // Create the main fretboard element
     const fretboard = document.createElement('div');
-    fretboard.className = 'fretboard';
+    fretboard.className = `fretboard instrument-${state.instrument}`;
+    fretboard.style.setProperty('--string-count', CONFIG.strings);
 
     // Add nut (the bar at fret 0)
     const nut = document.createElement('div');
@@ -301,6 +477,11 @@ function renderFretboard() {
     const markersContainer = createFretMarkers();
     fretboard.appendChild(markersContainer);
 
+    // Add the capo bar
+    if (state.capo > 0) {
+        fretboard.appendChild(createCapoBar());
+    }
+    
     // Add strings
     const stringsContainer = createStrings();
     fretboard.appendChild(stringsContainer);
@@ -393,6 +574,29 @@ function createFretMarkers() {
     return container;
 }
 
+/**
+ * Creates the capo bar across all strings, just behind the capo fret
+ * @returns {HTMLElement} Capo layer (one space per fret, like the markers)
+ */
+function createCapoBar() {
+    const container = document.createElement('div');
+    container.className = 'capo-layer';
+    
+    for (let fret = 1; fret <= CONFIG.frets; fret++) {
+        const fretSpace = document.createElement('div');
+        fretSpace.className = 'capo-space';
+        if (fret === state.capo) {
+            const bar = document.createElement('div');
+            bar.className = 'capo-bar';
+            bar.title = `Capo ${state.capo}`;
+            fretSpace.appendChild(bar);
+        }
+        container.appendChild(fretSpace);
+    }
+    
+    return container;
+}
+
 /**
  * Creates the guitar strings with varying thickness
  * String 1 (High E, thinnest) at top, String 6 (Low E, thickest) at bottom
@@ -402,7 +606,7 @@ function createStrings() {
     const container = document.createElement('div');
     container.className = 'strings';
 
-    // Create strings from 1 (high E, top) to 6 (low E, bottom)
+    // Create strings from 1 (highest, top) to the lowest string (bottom)
     for (let stringNum = 1; stringNum <= CONFIG.strings; stringNum++) {
         const string = document.createElement('div');
         string.className = `string string-${stringNum}`;
@@ -450,7 +654,7 @@ function createNoteGrid() {
     const container = document.createElement('div');
     container.className = 'note-grid';
 
-    // Create rows from string 1 (high E, top) to string 6 (low E, bottom)
+    // Create rows from string 1 (highest, top) to the lowest string (bottom)
     for (let stringNum = 1; stringNum <= CONFIG.strings; stringNum++) {
         const stringRow = document.createElement('div');
         stringRow.className = 'note-row';
@@ -463,6 +667,9 @@ function createNoteGrid() {
             notePosition.dataset.string = stringNum;
             notePosition.dataset.fret = fret;
             notePosition.dataset.note = getNoteAtPosition(stringNum, fret);
+            if (fret < state.capo) {
+                notePosition.classList.add('behind-capo');
+            }
 
             // Add click handler
             notePosition.addEventListener('click', () => {
@@ -484,7 +691,7 @@ function createNoteGrid() {
 
 /**
  * Highlights a specific position on the fretboard
- * @param {number} stringNum - String number (1-6)
+ * @param {number} stringNum - String number (1 = highest string)
  * @param {number} fretNum - Fret number (0-22)
  * @param {Object} options - Highlight options
  * @param {boolean} options.isRoot - Whether this is a root note (amber glow)
@@ -515,10 +722,17 @@ function highlightPosition(stringNum, fretNum, options = {}) {
     marker.classList.add('active');
     marker.classList.toggle('root', isRoot);
 
-    // Set label (note name or custom)
-    const noteName = label || getNoteAtPosition(stringNum, fretNum);
-    marker.textContent = noteName;
-    marker.title = `${noteName} - String ${stringNum}, Fret ${fretNum}`;
+    // Set label (custom, interval degree, or note name spelled for the current chord/scale)
+    const noteName = getSpelledNoteAtPosition(stringNum, fretNum);
+    const degree = state.showDegrees ? getDegreeAtPosition(stringNum, fretNum) : null;
+    DEGREE_FAMILIES.forEach(family => marker.classList.remove(`degree-${family}`));
+    if (degree && !label) {
+        marker.classList.add(`degree-${getDegreeFamily(degree)}`);
+    }
+    marker.textContent = label || degree || noteName;
+    marker.title = degree
+        ? `${noteName} (${degree}) - String ${stringNum}, Fret ${fretNum}`
+        : `${noteName} - String ${stringNum}, Fret ${fretNum}`;
 
     // Add to active notes state
     const noteData = { string: stringNum, fret: fretNum, isRoot };
@@ -531,7 +745,7 @@ function highlightPosition(stringNum, fretNum, options = {}) {
 
 /**
  * Removes highlight from a specific position
- * @param {number} stringNum - String number (1-6)
+ * @param {number} stringNum - String number (1 = highest string)
  * @param {number} fretNum - Fret number (0-22)
  */
 function clearPosition(stringNum, fretNum) {
@@ -552,23 +766,52 @@ function clearPosition(stringNum, fretNum) {
 }
 
 /**
- * Clears all highlighted positions on the fretboard
+ * Removes every note marker but keeps the current chord/scale context
  */
-function clearAllHighlights() {
+function clearMarkers() {
     const markers = document.querySelectorAll('.note-marker');
     markers.forEach(marker => marker.remove());
+    clearScaleLayer();
+    clearVoiceLeadingOverlay();
+    clearFingering();
     state.activeNotes = [];
+}
+
+/**
+ * Clears all highlighted positions on the fretboard
+ */
+function clearAllHighlights() {
+    clearMarkers();
+    closeVoicingBrowser();
     state.currentChord = null;
+    state.currentScale = null;
+    updateChordIdentification();
+    updateChordBoxView();
     console.log('All highlights cleared');
 }
 
+/**
+ * Re-renders the active markers so their labels follow the current display settings
+ */
+function refreshNoteLabels() {
+    const currentNotes = [...state.activeNotes];
+    clearMarkers();
+    currentNotes.forEach(pos => {
+        highlightPosition(pos.string, pos.fret, { isRoot: pos.isRoot });
+    });
+    updateFingering();
+    updateChordBoxView();
+}
+
 /**
  * Highlights multiple positions at once (for chords)
+ * The chord/scale context (state.currentChord / state.currentScale) is kept,
+ * so callers should set it before highlighting for degree labels to resolve.
  * @param {Array} positions - Array of {string, fret, isRoot} objects
  */
 function highlightChord(positions) {
     // Clear existing highlights first
-    clearAllHighlights();
+    clearMarkers();
     
     // Highlight each position
     positions.forEach(pos => {
@@ -576,6 +819,10 @@ function highlightChord(positions) {
             isRoot: pos.isRoot || false
         });
     });
+    
+    updateChordIdentification();
+    updateFingering();
+    updateChordBoxView();
 
     console.log(`Highlighted ${positions.length} positions`);
 }
@@ -590,6 +837,9 @@ function highlightChord(positions) {
  * @param {number} fretNum - Fret number
  */
 function handleNoteClick(stringNum, fretNum) {
+    // Frets behind the capo cannot be played
+    if (fretNum < state.capo) return;
+    
     const note = getNoteAtPosition(stringNum, fretNum);
     console.log(`Clicked: String ${stringNum}, Fret ${fretNum}, Note: ${note}`);
     
@@ -609,6 +859,11 @@ function handleNoteClick(stringNum, fretNum) {
     
     // Trigger string vibration animation
     vibrateString(stringNum);
+    
+    // Name whatever shape the clicked notes now form
+    updateChordIdentification();
+    updateFingering();
+    updateChordBoxView();
 }
 
 /**
@@ -620,11 +875,11 @@ function handleStringClick(stringNum, event) {
     // Prevent triggering note click
     event.stopPropagation();
     
-    const note = getNoteAtPosition(stringNum, 0);
+    const note = getNoteAtPosition(stringNum, state.capo);
     console.log(`String ${stringNum} clicked (Open ${note})`);
     
-    // Play open string sound
-    playNote(stringNum, 0);
+    // Play open string sound (at the capo, if there is one)
+    playNote(stringNum, state.capo);
     
     // Trigger vibration animation
     vibrateString(stringNum);
@@ -636,7 +891,7 @@ function handleStringClick(stringNum, event) {
 
 /**
  * Triggers the vibrate animation on a string
- * @param {number} stringNum - String number (1-6)
+ * @param {number} stringNum - String number (1 = highest string)
  */
 function vibrateString(stringNum) {
     const string = document.querySelector(`.string-${stringNum}`);
@@ -679,11 +934,23 @@ function setNotationMode(useFlats) {
     });
 
     // Re-render active notes with new notation
-    const currentNotes = [...state.activeNotes];
-    clearAllHighlights();
-    currentNotes.forEach(pos => {
-        highlightPosition(pos.string, pos.fret, { isRoot: pos.isRoot });
+    refreshNoteLabels();
+}
+
+/**
+ * Toggles marker labels between note names and interval degrees
+ * @param {boolean} showDegrees - Whether to show degrees relative to the current root
+ */
+function setDegreeMode(showDegrees) {
+    state.showDegrees = showDegrees;
+    
+    document.querySelectorAll('.control-btn').forEach(btn => {
+        if (btn.querySelector('.btn-label')?.textContent === 'Root') {
+            btn.classList.toggle('active', showDegrees);
+        }
     });
+    
+    refreshNoteLabels();
 }
 
 /**
@@ -703,6 +970,15 @@ function initControlPanel() {
                 case 'Flats':
                     setNotationMode(true);
                     break;
+                case 'Root':
+                    setDegreeMode(!state.showDegrees);
+                    break;
+                case 'Fingers':
+                    setFingeringMode(!state.showFingering);
+                    break;
+                case 'Box':
+                    setChordBoxView(!state.showChordBox);
+                    break;
                 case 'Clear':
                     clearAllHighlights();
                     break;
@@ -721,6 +997,301 @@ function initControlPanel() {
     if (soundBtn) {
         soundBtn.classList.toggle('active', state.soundEnabled);
     }
+    document.getElementById('fingering-btn')?.classList.toggle('active', state.showFingering);
+    document.getElementById('chord-box-btn')?.classList.toggle('active', state.showChordBox);
+}
+
+// ================================
+// INSTRUMENTS, TUNINGS & CAPO
+// ================================
+
+/**
+ * Highest capo position offered
+ */
+const MAX_CAPO = 12;
+
+/**
+ * Get the tuning presets of the active instrument
+ * @returns {Object} Map of tuning key to {label, notes}
+ */
+function getInstrumentTunings() {
+    return INSTRUMENTS[state.instrument].tunings;
+}
+
+/**
+ * Parse a custom tuning such as "D A D G B E" or "D2 A2 D3 G3 B3 E4"
+ * Notes without an octave take the octave closest to the instrument's standard tuning.
+ * @param {string} input - Note names, lowest string first
+ * @returns {Array<string>|null} Notes with octaves, or null if invalid
+ */
+function parseTuning(input) {
+    const tokens = (input || '').trim().split(/[\s,]+/).filter(Boolean);
+    if (tokens.length !== CONFIG.strings) return null;
+    
+    const standard = getInstrumentTunings().standard.notes;
+    const notes = tokens.map((token, index) => {
+        const match = /^([A-Ga-g])(#|b)?(\d)?$/.exec(token);
+        if (!match) return null;
+        
+        const [, letter, accidental = '', octave] = match;
+        const name = letter.toUpperCase() + accidental;
+        if (octave !== undefined) return `${name}${octave}`;
+        
+        const target = noteToMidi(standard[index]);
+        const candidates = [0, 1, 2, 3, 4, 5, 6].map(o => `${name}${o}`);
+        return candidates.reduce((best, note) =>
+            Math.abs(noteToMidi(note) - target) < Math.abs(noteToMidi(best) - target) ? note : best
+        );
+    });
+    
+    return notes.every(Boolean) ? notes : null;
+}
+
+/**
+ * Check whether a six-string guitar tuning keeps standard string intervals (e.g. half-step down),
+ * so CAGED shape names still apply
+ * @returns {number|null} Semitones the tuning sits below standard, or null for other tunings
+ */
+function getStandardTuningShift() {
+    if (state.instrument !== 'guitar') return null;
+    
+    const shifts = TUNINGS.standard.notes.map((note, index) =>
+        noteToMidi(note) - noteToMidi(STRING_FREQUENCIES[CONFIG.strings - index])
+    );
+    return shifts.every(shift => shift === shifts[0]) ? shifts[0] : null;
+}
+
+/**
+ * Point the open-string tables at a set of open-string pitches
+ * @param {Array<string>} notes - Notes with octaves, lowest string first
+ */
+function applyOpenStrings(notes) {
+    [OPEN_STRING_NOTES, STRING_FREQUENCIES].forEach(table => {
+        Object.keys(table).forEach(key => delete table[key]);
+    });
+    
+    notes.forEach((note, index) => {
+        const stringNum = notes.length - index;
+        STRING_FREQUENCIES[stringNum] = note;
+        OPEN_STRING_NOTES[stringNum] = noteToMidi(note) % 12;
+    });
+    CONFIG.strings = notes.length;
+    CONFIG.stringNotes = notes.map(note => note.replace(/\d+$/, ''));
+}
+
+/**
+ * Switch to another tuning of the active instrument
+ * Updates the open-string tables used for note names, pitches and voicing search,
+ * then redraws whatever is on the fretboard for the new tuning.
+ * @param {string|Array<string>} tuning - Tuning key of the instrument, or notes with octaves, lowest string first
+ * @returns {boolean} True if the tuning was applied
+ */
+function setTuning(tuning) {
+    const notes = Array.isArray(tuning) ? tuning : getInstrumentTunings()[tuning]?.notes;
+    if (!notes || notes.length !== CONFIG.strings || notes.some(note => noteToMidi(note) < 0)) {
+        console.warn('Invalid tuning:', tuning);
+        return false;
+    }
+    
+    applyOpenStrings(notes);
+    state.tuning = Array.isArray(tuning) ? 'custom' : tuning;
+    
+    // String labels and note positions follow the open strings
+    renderFretboard();
+    redrawFretboardContent();
+    
+    updateTuningControls();
+    console.log(`Tuning: ${notes.join(' ')}`);
+    return true;
+}
+
+/**
+ * Switch instrument profile: string count, open pitches, fret count and voicing rules
+ * @param {string} instrumentKey - Key of INSTRUMENTS
+ * @returns {boolean} True if the instrument was applied
+ */
+function setInstrument(instrumentKey) {
+    const instrument = INSTRUMENTS[instrumentKey];
+    if (!instrument) {
+        console.warn('Unknown instrument:', instrumentKey);
+        return false;
+    }
+    
+    state.instrument = instrumentKey;
+    state.tuning = 'standard';
+    CONFIG.frets = instrument.frets;
+    state.capo = Math.min(state.capo, CONFIG.frets - 5);
+    applyOpenStrings(instrument.tunings.standard.notes);
+    guitarSynth?.set({ envelope: getSynthEnvelope() });
+    
+    // Drop clicked notes and filters that do not exist on the new neck
+    state.activeNotes = state.activeNotes.filter(pos =>
+        pos.string <= CONFIG.strings && pos.fret <= CONFIG.frets && pos.fret >= state.capo
+    );
+    const { filters } = state.voicingBrowser;
+    if (!isStringSetAvailable(STRING_SETS[filters.stringSet].strings)) {
+        filters.stringSet = 'all';
+    }
+    
+    renderFretboard();
+    redrawFretboardContent();
+    
+    updateTuningControls();
+    console.log(`Instrument: ${instrument.label}`);
+    return true;
+}
+
+/**
+ * Put a capo on a fret (0 removes it)
+ * The capo fret becomes the nut: open shapes are found relative to it.
+ * @param {number} fret - Capo fret
+ * @returns {boolean} True if the capo was applied
+ */
+function setCapo(fret) {
+    const capo = parseInt(fret, 10);
+    if (isNaN(capo) || capo < 0 || capo > Math.min(MAX_CAPO, CONFIG.frets - 5)) {
+        console.warn('Invalid capo position:', fret);
+        return false;
+    }
+    
+    state.capo = capo;
+    state.activeNotes = state.activeNotes.filter(pos => pos.fret >= capo);
+    
+    renderFretboard();
+    redrawFretboardContent();
+    
+    updateTuningControls();
+    document.querySelectorAll('.capo-suggestion').forEach(button => {
+        button.classList.toggle('active', Number(button.dataset.capo) === capo);
+    });
+    console.log(capo > 0 ? `Capo on fret ${capo}` : 'Capo removed');
+    return true;
+}
+
+/**
+ * Name the chord shape the hand plays behind the capo for a sounding chord
+ * @param {string} chordName - Sounding chord name
+ * @param {string|null} key - Sounding key used for spelling
+ * @returns {string} Shape chord name (unchanged without a capo)
+ */
+function getCapoShapeName(chordName, key = state.currentKey) {
+    if (state.capo === 0) return spellChordName(chordName, key);
+    return transposeChordName(chordName, -state.capo, transposeKey(key, -state.capo));
+}
+
+/**
+ * Redraw whatever is on the fretboard after the instrument, tuning or capo changed
+ * Voicings are searched again so they fit the new strings.
+ */
+function redrawFretboardContent() {
+    if (state.voicingBrowser.chordName) {
+        if (state.progression.chords.length > 0) {
+            state.progression.voicings = solveProgressionPaths(state.progression.chords);
+            renderProgressionBar();
+        }
+        refreshVoicingBrowser();
+    } else if (state.progression.chords.length > 0) {
+        refreshProgressionVoicings();
+    } else if (state.currentScale) {
+        displayScale(state.currentScale.root, state.currentScale.scale);
+    } else if (state.currentChord) {
+        displayChord(state.currentChord);
+    } else {
+        refreshNoteLabels();
+        updateChordIdentification();
+    }
+}
+
+/**
+ * Build the instrument, tuning and capo selectors and the custom tuning editor in the control panel
+ */
+function initTuningControls() {
+    const controls = document.querySelector('.controls');
+    if (!controls) return;
+    
+    const container = document.createElement('div');
+    container.className = 'tuning-control';
+    container.innerHTML = `
+        <label class="tuning-label" for="instrument-select">Instrument</label>
+        <select class="voicing-filter" id="instrument-select">
+            ${Object.entries(INSTRUMENTS).map(([key, instrument]) =>
+                `<option value="${key}">${instrument.label}</option>`
+            ).join('')}
+        </select>
+        <label class="tuning-label" for="tuning-select">Tuning</label>
+        <select class="voicing-filter" id="tuning-select"></select>
+        <div class="tuning-editor">
+            <input type="text" class="tuning-input" id="tuning-input" spellcheck="false"
+                placeholder="e.g. D A D G B E" aria-label="Custom tuning, lowest string first">
+            <button class="prog-btn" id="tuning-apply">Apply</button>
+        </div>
+        <label class="tuning-label" for="capo-select">Capo</label>
+        <select class="voicing-filter" id="capo-select">
+            ${Array.from({ length: MAX_CAPO + 1 }, (_, fret) =>
+                `<option value="${fret}">${fret === 0 ? 'None' : fret}</option>`
+            ).join('')}
+        </select>
+    `;
+    controls.appendChild(container);
+    
+    const select = container.querySelector('#tuning-select');
+    const input = container.querySelector('#tuning-input');
+    
+    const applyCustomTuning = () => {
+        const notes = parseTuning(input.value);
+        input.classList.toggle('invalid', !notes);
+        input.title = notes ? '' : `Enter ${CONFIG.strings} notes, lowest string first (e.g. ${CONFIG.stringNotes.join(' ')})`;
+        if (notes) setTuning(notes);
+    };
+    
+    container.querySelector('#instrument-select').addEventListener('change', (e) => {
+        setInstrument(e.target.value);
+    });
+    container.querySelector('#capo-select').addEventListener('change', (e) => {
+        setCapo(e.target.value);
+    });
+    select.addEventListener('change', () => {
+        if (select.value === 'custom') {
+            updateTuningControls(true);
+            input.focus();
+        } else {
+            setTuning(select.value);
+        }
+    });
+    container.querySelector('#tuning-apply').addEventListener('click', applyCustomTuning);
+    input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') applyCustomTuning();
+    });
+    
+    updateTuningControls();
+}
+
+/**
+ * Sync the instrument, tuning and capo selectors with the active profile
+ * @param {boolean} editing - Show the custom editor even before a custom tuning is applied
+ */
+function updateTuningControls(editing = false) {
+    const instrumentSelect = document.getElementById('instrument-select');
+    const select = document.getElementById('tuning-select');
+    const editor = document.querySelector('.tuning-editor');
+    const input = document.getElementById('tuning-input');
+    if (!instrumentSelect || !select || !editor || !input) return;
+    
+    instrumentSelect.value = state.instrument;
+    const capoSelect = document.getElementById('capo-select');
+    if (capoSelect) capoSelect.value = String(state.capo);
+    select.innerHTML = `
+        ${Object.entries(getInstrumentTunings()).map(([key, tuning]) =>
+            `<option value="${key}">${tuning.label}</option>`
+        ).join('')}
+        <option value="custom">Custom…</option>
+    `;
+    
+    const custom = editing || state.tuning === 'custom';
+    select.value = custom ? 'custom' : state.tuning;
+    editor.style.display = custom ? 'flex' : 'none';
+    input.value = CONFIG.stringNotes.join(' ');
+    input.classList.remove('invalid');
 }
 
 // ================================
@@ -738,6 +1309,8 @@ function init() {
     
     // Initialize control panel
     initControlPanel();
+    initTuningControls();
+    initHandProfileControls();
     
     // Initialize search functionality
     initSearch();
@@ -776,60 +1349,142 @@ const CHORD_INTERVALS = {
     'maj9': [0, 4, 7, 11, 14],    // 1, 3, 5, 7, 9
     'm9': [0, 3, 7, 10, 14],      // 1, b3, 5, b7, 9
     'add9': [0, 4, 7, 14],        // 1, 3, 5, 9
+    'madd9': [0, 3, 7, 14],       // 1, b3, 5, 9
+    'add11': [0, 4, 7, 17],       // 1, 3, 5, 11
     '6': [0, 4, 7, 9],            // 1, 3, 5, 6
     'm6': [0, 3, 7, 9],           // 1, b3, 5, 6
+    '6/9': [0, 4, 7, 9, 14],      // 1, 3, 5, 6, 9
+    'm6/9': [0, 3, 7, 9, 14],     // 1, b3, 5, 6, 9
+    '11': [0, 4, 7, 10, 14, 17],  // 1, 3, 5, b7, 9, 11
+    'm11': [0, 3, 7, 10, 14, 17], // 1, b3, 5, b7, 9, 11
+    'maj11': [0, 4, 7, 11, 14, 17], // 1, 3, 5, 7, 9, 11
+    '13': [0, 4, 7, 10, 14, 21],  // 1, 3, 5, b7, 9, 13
+    'm13': [0, 3, 7, 10, 14, 21], // 1, b3, 5, b7, 9, 13
+    'maj13': [0, 4, 7, 11, 14, 21], // 1, 3, 5, 7, 9, 13
+    
+    // Altered dominants
+    '7b5': [0, 4, 6, 10],         // 1, 3, b5, b7
+    '7b9': [0, 4, 7, 10, 13],     // 1, 3, 5, b7, b9
+    '7#9': [0, 4, 7, 10, 15],     // 1, 3, 5, b7, #9
+    '7#11': [0, 4, 7, 10, 18],    // 1, 3, 5, b7, #11
+    '7b13': [0, 4, 7, 10, 20],    // 1, 3, 5, b7, b13
+    '9#11': [0, 4, 7, 10, 14, 18], // 1, 3, 5, b7, 9, #11
+    'maj7#11': [0, 4, 7, 11, 18], // 1, 3, 5, 7, #11
+    '7alt': [0, 4, 10, 15, 20],   // 1, 3, b7, #9, b13 (altered dominant, no 5th)
     
     // Suspended chords
     'sus2': [0, 2, 7],            // 1, 2, 5
     'sus4': [0, 5, 7],            // 1, 4, 5
     '7sus4': [0, 5, 7, 10],       // 1, 4, 5, b7
+    '9sus4': [0, 5, 7, 10, 14],   // 1, 4, 5, b7, 9
+    
+    // Power chord
+    '5': [0, 7],                  // 1, 5
 };
 
 /**
- * Common chord voicings (open and barre positions)
- * Format: {strings: [s6, s5, s4, s3, s2, s1], rootString: number, baseFret: number}
- * -1 = muted/not played, 0 = open string
- */
-const CHORD_SHAPES = {
-    // Open chord shapes (moveable patterns)
-    'E_major': { strings: [0, 2, 2, 1, 0, 0], rootString: 6, baseFret: 0 },
-    'E_minor': { strings: [0, 2, 2, 0, 0, 0], rootString: 6, baseFret: 0 },
-    'A_major': { strings: [-1, 0, 2, 2, 2, 0], rootString: 5, baseFret: 0 },
-    'A_minor': { strings: [-1, 0, 2, 2, 1, 0], rootString: 5, baseFret: 0 },
-    'D_major': { strings: [-1, -1, 0, 2, 3, 2], rootString: 4, baseFret: 0 },
-    'D_minor': { strings: [-1, -1, 0, 2, 3, 1], rootString: 4, baseFret: 0 },
-    'C_major': { strings: [-1, 3, 2, 0, 1, 0], rootString: 5, baseFret: 0 },
-    'G_major': { strings: [3, 2, 0, 0, 0, 3], rootString: 6, baseFret: 0 },
-    
-    // 7th chord shapes
-    'E_7': { strings: [0, 2, 0, 1, 0, 0], rootString: 6, baseFret: 0 },
-    'E_m7': { strings: [0, 2, 0, 0, 0, 0], rootString: 6, baseFret: 0 },
-    'E_maj7': { strings: [0, 2, 1, 1, 0, 0], rootString: 6, baseFret: 0 },
-    'A_7': { strings: [-1, 0, 2, 0, 2, 0], rootString: 5, baseFret: 0 },
-    'A_m7': { strings: [-1, 0, 2, 0, 1, 0], rootString: 5, baseFret: 0 },
-    'A_maj7': { strings: [-1, 0, 2, 1, 2, 0], rootString: 5, baseFret: 0 },
-    'D_7': { strings: [-1, -1, 0, 2, 1, 2], rootString: 4, baseFret: 0 },
-    'D_m7': { strings: [-1, -1, 0, 2, 1, 1], rootString: 4, baseFret: 0 },
-    
-    // Barre chord templates (E-shape and A-shape)
-    'barre_E_major': { strings: [0, 2, 2, 1, 0, 0], rootString: 6, baseFret: 0 },
-    'barre_E_minor': { strings: [0, 2, 2, 0, 0, 0], rootString: 6, baseFret: 0 },
-    'barre_A_major': { strings: [-1, 0, 2, 2, 2, 0], rootString: 5, baseFret: 0 },
-    'barre_A_minor': { strings: [-1, 0, 2, 2, 1, 0], rootString: 5, baseFret: 0 },
+ * Chord quality patterns matched at the start of the suffix
+ * Order matters - longer patterns first, and case-sensitive minor/major patterns
+ * (m vs M) before anything that could swallow them.
+ */
+const CHORD_QUALITY_PATTERNS = [
+    { pattern: /^(m7b5|min7b5|m7\(b5\)|-7b5|ø7|ø)/, quality: 'm7b5' },
+    { pattern: /^(mmaj7|mMaj7|mM7|minmaj7|minMaj7|m\(maj7\)|-maj7|-M7)/, quality: 'mMaj7' },
+    { pattern: /^(m6\/9|m69|min6\/9|-6\/9)/, quality: 'm6/9' },
+    { pattern: /^(m13|min13|-13)/, quality: 'm13' },
+    { pattern: /^(m11|min11|-11)/, quality: 'm11' },
+    { pattern: /^(m9|min9|-9)/, quality: 'm9' },
+    { pattern: /^(m7|min7|-7)/, quality: 'm7' },
+    { pattern: /^(m6|min6|-6)/, quality: 'm6' },
+    { pattern: /^(maj13|Maj13|M13|Δ13)/, quality: 'maj13' },
+    { pattern: /^(maj11|Maj11|M11|Δ11)/, quality: 'maj11' },
+    { pattern: /^(maj9|Maj9|M9|Δ9)/, quality: 'maj9' },
+    { pattern: /^(maj7|Maj7|M7|Δ7|Δ)/, quality: 'maj7' },
+    { pattern: /^(major|maj|Maj|M)/, quality: 'major' },
+    { pattern: /^(minor|min|m|-)/, quality: 'minor' },
+    { pattern: /^(dim7|°7)/i, quality: 'dim7' },
+    { pattern: /^(dim|°)/i, quality: 'dim' },
+    { pattern: /^(aug7|\+7|7\+)/i, quality: 'aug7' },
+    { pattern: /^(aug|\+)/i, quality: 'aug' },
+    { pattern: /^(7sus4|7sus)/i, quality: '7sus4' },
+    { pattern: /^(9sus4|9sus)/i, quality: '9sus4' },
+    { pattern: /^(sus2|2)/i, quality: 'sus2' },
+    { pattern: /^(sus4|sus|4)/i, quality: 'sus4' },
+    { pattern: /^(6\/9|69)/, quality: '6/9' },
+    { pattern: /^13/, quality: '13' },
+    { pattern: /^11/, quality: '11' },
+    { pattern: /^9/, quality: '9' },
+    { pattern: /^7/, quality: '7' },
+    { pattern: /^6/, quality: '6' },
+    { pattern: /^5/, quality: '5' },
+];
+
+/**
+ * Chord modifiers that may follow the quality, alone or stacked in parentheses
+ * e.g. C7b9, C7(b9,#11), Cadd11, Cmaj7(omit5), C13sus4
+ */
+const CHORD_MODIFIER_PATTERN = /^(alt|add[b#]?(?:2|4|6|9|11|13)|(?:omit|no)(?:3|5)(?:rd|th)?|sus[24]?|[b#](?:5|9|11|13))/i;
+
+/**
+ * Semitones added by each "add" modifier
+ */
+const ADDED_TONES = {
+    '2': 2, '4': 5, '6': 9, '9': 14, '11': 17, '13': 21,
+    'b9': 13, '#9': 15, '#11': 18, 'b13': 20,
 };
 
+/**
+ * Apply one parsed modifier to a set of chord intervals
+ * @param {Set<number>} intervals - Intervals to modify in place
+ * @param {string} modifier - e.g. 'b9', '#11', 'add11', 'omit5', 'sus4'
+ */
+function applyChordModifier(intervals, modifier) {
+    const lower = modifier.toLowerCase();
+    
+    if (lower.startsWith('add')) {
+        intervals.add(ADDED_TONES[lower.slice(3)]);
+        return;
+    }
+    if (lower.startsWith('omit') || lower.startsWith('no')) {
+        const degree = lower.match(/\d/)[0];
+        if (degree === '3') [2, 3, 4, 5].forEach(i => intervals.delete(i));
+        if (degree === '5') [6, 7, 8].forEach(i => intervals.delete(i));
+        return;
+    }
+    if (lower.startsWith('sus')) {
+        [3, 4].forEach(i => intervals.delete(i));
+        intervals.add(lower === 'sus2' ? 2 : 5);
+        return;
+    }
+    
+    // Alterations replace the natural degree they alter
+    switch (lower) {
+        case 'b5': intervals.delete(7); intervals.add(6); break;
+        case '#5': intervals.delete(7); intervals.add(8); break;
+        case 'b9': intervals.delete(14); intervals.add(13); break;
+        case '#9': intervals.delete(14); intervals.add(15); break;
+        case '#11': intervals.delete(17); intervals.add(18); break;
+        case 'b13': intervals.delete(21); intervals.add(20); break;
+    }
+}
+
 /**
  * Parse a chord name into its components
- * @param {string} chordName - e.g., 'Em7', 'F#maj7', 'Bbdim', 'Gsus4'
- * @returns {Object} {root: string, quality: string, bass: string|null}
+ * @param {string} chordName - e.g., 'Em7', 'F#maj7', 'Bbdim', 'C7(b9,#11)', 'D6/9', 'G/B'
+ * @returns {Object|null} {root, quality, bass, alterations, intervals, symbol}, or
+ *          {root, quality: null, bass, error} when the suffix cannot be read,
+ *          or null when the input does not start with a note name
  */
 function parseChordName(chordName) {
     if (!chordName || typeof chordName !== 'string') {
         return null;
     }
     
-    // Normalize input
-    chordName = chordName.trim();
+    // Normalize input (unicode accidentals and symbols)
+    chordName = chordName.trim()
+        .replace(/♭/g, 'b')
+        .replace(/♯/g, '#')
+        .replace(/[–−]/g, '-');
     
     // Regex to parse chord: root note + optional accidental + quality + optional bass note
     const chordRegex = /^([A-Ga-g])([#b]?)(.*)$/;
@@ -841,78 +1496,119 @@ function parseChordName(chordName) {
     
     let [, rootLetter, accidental, qualityPart] = match;
     rootLetter = rootLetter.toUpperCase();
+    const root = rootLetter + accidental;
     
-    // Handle bass note (slash chord like C/G)
+    // Handle bass note (slash chord like C/G) - "6/9" is a quality, not a bass
     let bass = null;
-    if (qualityPart.includes('/')) {
-        const parts = qualityPart.split('/');
-        qualityPart = parts[0];
-        bass = parts[1];
-    }
-    
-    // Determine chord quality
-    let quality = 'major'; // default
-    const qualityLower = qualityPart.toLowerCase();
-    
-    // Match quality patterns (order matters - longer patterns first, and case-sensitive patterns before case-insensitive)
-    const qualityPatterns = [
-        { pattern: /^m7b5|^min7b5|^ø/i, quality: 'm7b5' },
-        { pattern: /^mmaj7|^minmaj7/i, quality: 'mMaj7' },
-        { pattern: /^m7|^min7|-7/, quality: 'm7' },         // m7 MUST come before maj7 (no i flag - case sensitive)
-        { pattern: /^m9|^min9/, quality: 'm9' },            // m9 before maj9 (case sensitive)
-        { pattern: /^m6|^min6/, quality: 'm6' },            // case sensitive for minor
-        { pattern: /^m|^min|-/, quality: 'minor' },         // minor before major patterns (case sensitive)
-        { pattern: /^maj7|^M7|^Δ7/, quality: 'maj7' },      // Now case-sensitive to avoid matching m7
-        { pattern: /^maj9|^M9/, quality: 'maj9' },          // case-sensitive
-        { pattern: /^dim7|^°7/i, quality: 'dim7' },
-        { pattern: /^aug7|^\+7/i, quality: 'aug7' },
-        { pattern: /^7sus4/i, quality: '7sus4' },
-        { pattern: /^add9/i, quality: 'add9' },
-        { pattern: /^sus2/i, quality: 'sus2' },
-        { pattern: /^sus4|^sus/i, quality: 'sus4' },
-        { pattern: /^dim|^°/i, quality: 'dim' },
-        { pattern: /^aug|^\+/i, quality: 'aug' },
-        { pattern: /^9/i, quality: '9' },
-        { pattern: /^7/i, quality: '7' },
-        { pattern: /^6/i, quality: '6' },
-    ];
-    
-    for (const { pattern, quality: q } of qualityPatterns) {
-        if (pattern.test(qualityPart)) {
+    const bassMatch = qualityPart.match(/^(.*)\/([A-Ga-g][#b]?)$/);
+    if (bassMatch) {
+        qualityPart = bassMatch[1];
+        bass = bassMatch[2][0].toUpperCase() + bassMatch[2].slice(1);
+    }
+    
+    // Determine the base chord quality
+    let quality = 'major'; // default for an empty suffix or one made only of modifiers
+    let rest = qualityPart;
+    
+    for (const { pattern, quality: q } of CHORD_QUALITY_PATTERNS) {
+        const qualityMatch = rest.match(pattern);
+        if (qualityMatch) {
             quality = q;
+            rest = rest.slice(qualityMatch[0].length);
             break;
         }
     }
     
+    // Read the modifiers that follow (b9, #11, add11, omit5, alt...), separators allowed
+    const alterations = [];
+    while (rest.length > 0) {
+        const separator = rest.match(/^[\s(),]+/);
+        if (separator) {
+            rest = rest.slice(separator[0].length);
+            continue;
+        }
+        
+        const modifierMatch = rest.match(CHORD_MODIFIER_PATTERN);
+        if (!modifierMatch) {
+            return {
+                root,
+                quality: null,
+                bass,
+                error: `Unrecognized chord suffix "${rest}" in ${chordName}`
+            };
+        }
+        
+        alterations.push(modifierMatch[0].toLowerCase().replace(/^no/, 'omit').replace(/(rd|th)$/, ''));
+        rest = rest.slice(modifierMatch[0].length);
+    }
+    
+    // "alt" always means the altered dominant
+    if (alterations.includes('alt')) {
+        quality = '7alt';
+        alterations.splice(alterations.indexOf('alt'), 1);
+    }
+    
+    const intervalSet = new Set(CHORD_INTERVALS[quality]);
+    alterations.forEach(modifier => applyChordModifier(intervalSet, modifier));
+    const intervals = [...intervalSet].sort((a, b) => a - b);
+    
+    // Prefer a named quality when the modifiers spell one (7 + b9 = 7b9, m + add9 = madd9)
+    if (alterations.length > 0) {
+        const named = Object.entries(CHORD_INTERVALS).find(([, formula]) =>
+            formula.length === intervals.length && formula.every((interval, i) => interval === intervals[i])
+        );
+        if (named) {
+            quality = named[0];
+            alterations.length = 0;
+        }
+    }
+    
+    const symbol = alterations.length > 0
+        ? `${CHORD_SYMBOLS[quality] ?? quality}(${alterations.join(',')})`
+        : CHORD_SYMBOLS[quality] ?? quality;
+    
     return {
-        root: rootLetter + accidental,
-        quality: quality,
-        bass: bass
+        root,
+        quality: alterations.length > 0 ? symbol : quality,
+        bass: bass,
+        alterations,
+        intervals,
+        symbol
     };
 }
 
+/**
+ * Check that a parsed chord was fully understood
+ * @param {Object|null} parsed - Result of parseChordName
+ * @returns {boolean} True when the chord has a root and readable quality
+ */
+function isValidChord(parsed) {
+    return Boolean(parsed && !parsed.error && parsed.intervals && getNoteIndex(parsed.root) !== -1);
+}
+
 /**
  * Get the semitone index of a note (C=0, C#=1, ..., B=11)
- * @param {string} noteName - e.g., 'C', 'F#', 'Bb'
- * @returns {number} Semitone index (0-11)
+ * @param {string} noteName - e.g., 'C', 'F#', 'Bb', 'E#', 'Bbb'
+ * @returns {number} Semitone index (0-11), or -1 if unknown
  */
 function getNoteIndex(noteName) {
-    const noteMap = {
-        'C': 0, 'C#': 1, 'Db': 1, 'D': 2, 'D#': 3, 'Eb': 3,
-        'E': 4, 'F': 5, 'F#': 6, 'Gb': 6, 'G': 7, 'G#': 8,
-        'Ab': 8, 'A': 9, 'A#': 10, 'Bb': 10, 'B': 11
-    };
-    return noteMap[noteName] ?? -1;
+    const match = /^([A-G])(#{1,2}|b{1,2})?$/.exec(noteName || '');
+    if (!match) return -1;
+    
+    const [, letter, accidentals = ''] = match;
+    const offset = accidentals.startsWith('#') ? accidentals.length : -accidentals.length;
+    return (LETTER_INDICES[letter] + offset + 12) % 12;
 }
 
 /**
  * Get chord notes from root and quality
  * @param {string} root - Root note (e.g., 'E', 'F#')
- * @param {string} quality - Chord quality (e.g., 'minor', 'm7')
+ * @param {string|Array<number>} quality - Chord quality (e.g., 'minor', 'm7') or
+ *        the intervals of a parsed chord (parsed.intervals, for stacked alterations)
  * @returns {Array<string>} Array of note names
  */
 function getChordNotes(root, quality) {
-    const intervals = CHORD_INTERVALS[quality];
+    const intervals = Array.isArray(quality) ? quality : CHORD_INTERVALS[quality];
     if (!intervals) {
         console.warn(`Unknown chord quality: ${quality}`);
         return [];
@@ -924,145 +1620,217 @@ function getChordNotes(root, quality) {
         return [];
     }
     
-    return intervals.map(interval => {
-        const noteIndex = (rootIndex + interval) % 12;
-        return NOTE_NAMES[noteIndex];
-    });
+    // Spell each tone from the root letter by its degree (Bb D F, not A# D F)
+    const labels = getChordDegreeLabels(intervals);
+    return intervals.map(interval => spellInterval(root, interval, labels[interval % 12]));
 }
 
+// ================================
+// INTERVAL DEGREES
+// ================================
+
 /**
- * Calculate fret positions for a chord
- * @param {string} chordName - e.g., 'Em7', 'Cmaj7'
- * @returns {Array} Array of {string, fret, isRoot} objects
+ * Default degree names for each semitone above the root
  */
-function calculateChordPositions(chordName) {
-    const parsed = parseChordName(chordName);
-    if (!parsed) {
-        console.warn(`Could not parse chord: ${chordName}`);
-        return [];
-    }
-    
-    const { root, quality } = parsed;
-    const rootIndex = getNoteIndex(root);
+const DEGREE_LABELS = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7'];
+
+/**
+ * Degree names for chord formula intervals, including compound extensions
+ */
+const INTERVAL_LABELS = {
+    0: '1', 1: 'b2', 2: '2', 3: 'b3', 4: '3', 5: '4', 6: 'b5', 7: '5',
+    8: '#5', 9: '6', 10: 'b7', 11: '7',
+    13: 'b9', 14: '9', 15: '#9', 17: '11', 18: '#11', 20: 'b13', 21: '13',
+};
+
+/**
+ * Degree families used for colour-coding degree labels
+ */
+const DEGREE_FAMILIES = ['root', 'third', 'fifth', 'seventh', 'tension'];
+
+/**
+ * Major scale used as the reference for naming heptatonic scale degrees
+ */
+const MAJOR_SCALE_STEPS = [0, 2, 4, 5, 7, 9, 11];
+
+/**
+ * Build the degree label for every semitone (0-11) above a chord root
+ * Chord tones are named from the formula (e.g. #5 in aug, bb7 in dim7, 9 in add9);
+ * other notes read as tensions when the chord has a seventh.
+ * @param {Array<number>} intervals - Chord intervals in semitones
+ * @returns {Array<string>} 12 degree labels indexed by semitone
+ */
+function getChordDegreeLabels(intervals) {
+    const pitchClasses = new Set(intervals.map(i => i % 12));
+    const hasSeventh = pitchClasses.has(10) || pitchClasses.has(11);
+    const isDim7 = pitchClasses.has(3) && pitchClasses.has(6) && pitchClasses.has(9) && !hasSeventh;
+    
+    const labels = [...DEGREE_LABELS];
+    if (hasSeventh) {
+        Object.assign(labels, { 1: 'b9', 2: '9', 5: '11', 6: '#11', 8: 'b13', 9: '13' });
+        if (pitchClasses.has(4)) labels[3] = '#9';
+        if (!pitchClasses.has(7)) labels[6] = 'b5';
+    }
     
-    // Try to find a specific voicing first
-    let shape = findChordShape(root, quality);
+    intervals.forEach(interval => {
+        let label = INTERVAL_LABELS[interval] || DEGREE_LABELS[interval % 12];
+        if (interval === 8 && hasSeventh && pitchClasses.has(7)) label = 'b13';
+        if (interval === 9 && isDim7) label = 'bb7';
+        labels[interval % 12] = label;
+    });
     
-    if (shape) {
-        return shapeToPositions(shape, root);
+    return labels;
+}
+
+/**
+ * Build the degree label for every semitone (0-11) above a scale root
+ * Seven-note scales are named step by step against the major scale (#4 in lydian, b2 in phrygian).
+ * @param {Array<number>} intervals - Scale intervals in semitones
+ * @returns {Array<string>} 12 degree labels indexed by semitone
+ */
+function getScaleDegreeLabels(intervals) {
+    const labels = [...DEGREE_LABELS];
+    
+    if (intervals.length === 7) {
+        intervals.forEach((interval, step) => {
+            const offset = interval - MAJOR_SCALE_STEPS[step];
+            const accidental = offset < 0 ? 'b'.repeat(-offset) : '#'.repeat(offset);
+            labels[interval] = `${accidental}${step + 1}`;
+        });
+    } else if (intervals.includes(8) && intervals.includes(4) && !intervals.includes(7)) {
+        // Whole-tone: raised 4th and 5th rather than b5/b6
+        labels[8] = '#5';
+        if (!intervals.includes(5)) labels[6] = '#4';
     }
     
-    // If no specific shape, generate a basic voicing
-    return generateBasicVoicing(root, quality);
+    return labels;
 }
 
 /**
- * Find the best chord shape for a given root and quality
- * @param {string} root - Root note
- * @param {string} quality - Chord quality
- * @returns {Object|null} Chord shape or null
+ * Get the degree labelling context from the currently displayed chord or scale
+ * @returns {Object|null} {rootIndex, labels, spellings} or null when nothing is displayed;
+ *          labels and spellings are indexed by semitones above the root
  */
-function findChordShape(root, quality) {
-    const rootIndex = getNoteIndex(root);
-    
-    // Map quality to shape key
-    const qualityToShape = {
-        'major': 'major',
-        'minor': 'minor',
-        '7': '7',
-        'm7': 'm7',
-        'maj7': 'maj7',
-    };
-    
-    const shapeQuality = qualityToShape[quality] || quality;
-    
-    // Check for open chord shapes (E, A, D, G, C roots)
-    const openChords = ['E', 'A', 'D', 'G', 'C'];
-    if (openChords.includes(root)) {
-        const shapeKey = `${root}_${shapeQuality}`;
-        if (CHORD_SHAPES[shapeKey]) {
-            return { ...CHORD_SHAPES[shapeKey], transpose: 0 };
-        }
+function getDegreeContext() {
+    let root;
+    let labels;
+    
+    if (state.currentScale) {
+        const intervals = SCALE_INTERVALS[state.currentScale.scale];
+        if (!intervals) return null;
+        root = state.currentScale.root;
+        labels = getScaleDegreeLabels(intervals);
+    } else if (state.currentChord) {
+        const parsed = parseChordName(spellChordName(state.currentChord, state.currentKey));
+        if (!isValidChord(parsed)) return null;
+        root = parsed.root;
+        labels = getChordDegreeLabels(parsed.intervals);
+    } else {
+        return null;
     }
     
-    // Use barre chord shapes for other roots
-    // Find the closest E or A shape and transpose
-    const eRootIndex = getNoteIndex('E'); // 4
-    const aRootIndex = getNoteIndex('A'); // 9
-    
-    const transposedFromE = (rootIndex - eRootIndex + 12) % 12;
-    const transposedFromA = (rootIndex - aRootIndex + 12) % 12;
-    
-    // Try E-shape barre first if it requires fewer frets
-    let baseShape;
-    let transpose;
+    return {
+        rootIndex: getNoteIndex(root),
+        labels,
+        spellings: labels.map((label, semitones) => spellInterval(root, semitones, label))
+    };
+}
+
+/**
+ * Get the interval degree of a position relative to the current root
+ * @param {number} stringNum - String number
+ * @param {number} fretNum - Fret number
+ * @returns {string|null} Degree label (e.g. 'b3', '#11') or null without a chord/scale context
+ */
+function getDegreeAtPosition(stringNum, fretNum) {
+    const context = getDegreeContext();
+    if (!context || context.rootIndex === -1) return null;
     
-    if (transposedFromE <= 7) {
-        baseShape = CHORD_SHAPES[`E_${shapeQuality}`] || CHORD_SHAPES['E_major'];
-        transpose = transposedFromE;
-    } else {
-        baseShape = CHORD_SHAPES[`A_${shapeQuality}`] || CHORD_SHAPES['A_major'];
-        transpose = transposedFromA;
-    }
+    const noteIndex = (OPEN_STRING_NOTES[stringNum] + fretNum) % 12;
+    return context.labels[(noteIndex - context.rootIndex + 12) % 12];
+}
+
+/**
+ * Get the note name at a position, spelled for the current chord or scale
+ * Falls back to the Sharps/Flats toggle when nothing is displayed.
+ * @param {number} stringNum - String number
+ * @param {number} fretNum - Fret number
+ * @returns {string} Note name (e.g. 'Bb' in an F chord, 'A#' in F# major)
+ */
+function getSpelledNoteAtPosition(stringNum, fretNum) {
+    const context = getDegreeContext();
+    if (!context || context.rootIndex === -1) return getNoteAtPosition(stringNum, fretNum);
     
-    if (baseShape) {
-        return { ...baseShape, transpose };
+    const noteIndex = (OPEN_STRING_NOTES[stringNum] + fretNum) % 12;
+    return context.spellings[(noteIndex - context.rootIndex + 12) % 12];
+}
+
+/**
+ * Get the colour family of a degree label
+ * @param {string} degree - Degree label (e.g. 'b7', '#11')
+ * @returns {string} One of DEGREE_FAMILIES
+ */
+function getDegreeFamily(degree) {
+    const number = parseInt(degree.replace(/[b#]/g, ''), 10);
+    switch (number) {
+        case 1: return 'root';
+        case 3: return 'third';
+        case 5: return 'fifth';
+        case 7: return 'seventh';
+        default: return 'tension';
     }
-    
-    return null;
 }
 
 /**
- * Convert a chord shape to fret positions
- * @param {Object} shape - Chord shape object
- * @param {string} root - Root note name
+ * Calculate fret positions for a chord
+ * Uses the most playable voicing from the fretboard search in generateAllVoicings.
+ * @param {string} chordName - e.g., 'Em7', 'Cmaj7'
  * @returns {Array} Array of {string, fret, isRoot} objects
  */
-function shapeToPositions(shape, root) {
-    const positions = [];
-    const transpose = shape.transpose || 0;
+function calculateChordPositions(chordName) {
+    const parsed = parseChordName(chordName);
+    if (!isValidChord(parsed)) {
+        console.warn(`Could not parse chord: ${chordName}`, parsed?.error || '');
+        return [];
+    }
     
-    shape.strings.forEach((fret, index) => {
-        const stringNum = 6 - index; // Convert array index to string number (6 to 1)
-        
-        if (fret >= 0) {
-            const actualFret = fret + transpose;
-            const noteAtPosition = getNoteAtPosition(stringNum, actualFret);
-            const isRoot = noteAtPosition === root || 
-                          (root.length > 1 && getNoteIndex(noteAtPosition) === getNoteIndex(root));
-            
-            positions.push({
-                string: stringNum,
-                fret: actualFret,
-                isRoot: isRoot
-            });
-        }
-    });
+    const best = findBestVoicing(generateAllVoicings(chordName));
+    if (best) {
+        return best.positions;
+    }
     
-    return positions;
+    // If no playable voicing exists, generate a basic one
+    const { root, bass, intervals } = parsed;
+    return generateBasicVoicing(root, intervals, bass);
 }
 
 /**
  * Generate a basic chord voicing when no predefined shape exists
  * @param {string} root - Root note
- * @param {string} quality - Chord quality
+ * @param {string|Array<number>} quality - Chord quality or parsed chord intervals
+ * @param {string|null} bass - Slash-chord bass note; the lowest string played will sound it
  * @returns {Array} Array of {string, fret, isRoot} objects
  */
-function generateBasicVoicing(root, quality) {
+function generateBasicVoicing(root, quality, bass = null) {
     const chordNotes = getChordNotes(root, quality);
     if (chordNotes.length === 0) return [];
     
+    const bassIndex = bass ? getNoteIndex(bass) : -1;
     const positions = [];
     const usedStrings = new Set();
     
-    // For each string, find the nearest chord tone in first 5 frets
-    for (let stringNum = 6; stringNum >= 1 && positions.length < 6; stringNum--) {
-        for (let fret = 0; fret <= 5; fret++) {
-            const noteAtPos = getNoteAtPosition(stringNum, fret);
-            const noteIndex = NOTE_NAMES.indexOf(noteAtPos);
+    // For each string, find the nearest chord tone in the first 5 frets above the capo
+    for (let stringNum = CONFIG.strings; stringNum >= 1; stringNum--) {
+        for (let fret = state.capo; fret <= state.capo + 5; fret++) {
+            const noteIndex = (OPEN_STRING_NOTES[stringNum] + fret) % 12;
+            
+            // The first (lowest) note must be the slash bass when there is one
+            if (bassIndex !== -1 && positions.length === 0 && noteIndex !== bassIndex) {
+                continue;
+            }
             
             // Check if this note is in the chord
-            if (chordNotes.some(n => getNoteIndex(n) === noteIndex)) {
+            if (chordNotes.some(n => getNoteIndex(n) === noteIndex) || noteIndex === bassIndex) {
                 if (!usedStrings.has(stringNum)) {
                     positions.push({
                         string: stringNum,
@@ -1088,6 +1856,12 @@ function generateBasicVoicing(root, quality) {
  * @param {string} chordName - Chord name (e.g., 'Em7', 'Cmaj7')
  */
 function displayChord(chordName) {
+    if (openVoicingBrowser(chordName)) {
+        console.log(`Displayed chord: ${chordName}`, state.activeNotes);
+        return;
+    }
+    
+    // Nothing matches the browser filters - fall back to the default voicing
     const positions = calculateChordPositions(chordName);
     
     if (positions.length === 0) {
@@ -1096,933 +1870,4973 @@ function displayChord(chordName) {
     }
     
     state.currentChord = chordName;
+    state.currentScale = null;
     highlightChord(positions);
     
     console.log(`Displayed chord: ${chordName}`, positions);
 }
 
 // ================================
-// SONG SEARCH - MOCK DATABASE
+// FINGERING & BARRES
 // ================================
 
-const SONG_DATABASE = {
-    'wonderwall': {
-        title: 'Wonderwall',
-        artist: 'Oasis',
-        chords: ['Em7', 'G', 'Dsus4', 'A7sus4'],
-        key: 'E minor'
-    },
-    'hotel california': {
-        title: 'Hotel California',
-        artist: 'Eagles',
-        chords: ['Am', 'E7', 'G', 'D', 'F', 'C', 'Dm', 'E'],
-        key: 'B minor'
-    },
-    'wish you were here': {
-        title: 'Wish You Were Here',
-        artist: 'Pink Floyd',
-        chords: ['Em7', 'G', 'A7sus4', 'C', 'D', 'Am'],
-        key: 'G major'
-    },
-    'stairway to heaven': {
-        title: 'Stairway to Heaven',
-        artist: 'Led Zeppelin',
-        chords: ['Am', 'E+', 'C', 'D', 'Fmaj7', 'G', 'Am7'],
-        key: 'A minor'
-    },
-    'hallelujah': {
-        title: 'Hallelujah',
-        artist: 'Leonard Cohen',
-        chords: ['C', 'Am', 'F', 'G', 'E7'],
-        key: 'C major'
-    },
-    'blackbird': {
-        title: 'Blackbird',
-        artist: 'The Beatles',
-        chords: ['G', 'Am7', 'G/B', 'C', 'A7', 'D7'],
-        key: 'G major'
-    },
-    'nothing else matters': {
-        title: 'Nothing Else Matters',
-        artist: 'Metallica',
-        chords: ['Em', 'Am', 'C', 'D', 'G', 'B7'],
-        key: 'E minor'
-    },
-    'house of the rising sun': {
-        title: 'House of the Rising Sun',
-        artist: 'The Animals',
-        chords: ['Am', 'C', 'D', 'F', 'E'],
-        key: 'A minor'
-    },
-    'sweet home alabama': {
-        title: 'Sweet Home Alabama',
-        artist: 'Lynyrd Skynyrd',
-        chords: ['D', 'C', 'G'],
-        key: 'D major'
-    },
-    'knockin on heavens door': {
-        title: "Knockin' on Heaven's Door",
-        artist: 'Bob Dylan',
-        chords: ['G', 'D', 'Am', 'C'],
-        key: 'G major'
-    }
-};
+/**
+ * Find a barre one finger can hold across every string that sounds a given fret
+ * Every string between the outer notes must be fretted at or above the barre.
+ * @param {Array<number>} frets - Frets from the lowest string up (-1 = muted)
+ * @param {Array<Object>} notes - Fretted {index, fret} notes the barre may cover
+ * @param {number} fret - Barre fret
+ * @returns {Object|null} {fret, from, to} string indices, or null if no barre fits
+ */
+function findBarre(frets, notes, fret) {
+    const covered = notes.filter(note => note.fret === fret).map(note => note.index);
+    if (covered.length < 2) return null;
+    
+    const from = Math.min(...covered);
+    const to = Math.max(...covered);
+    return frets.slice(from, to + 1).every(f => f >= fret) ? { fret, from, to } : null;
+}
 
 /**
- * Search for songs matching a query
- * @param {string} query - Search query
- * @returns {Array} Array of matching song objects
+ * Work out the left-hand fingering for a fret array
+ * Fingers follow one-finger-per-fret from the lowest fretted note; more than four fretted
+ * notes call for an index-finger barre (or the thumb over the neck on the lowest string),
+ * and a ring-finger barre when the remaining fingers still run out.
+ * @param {Array<number>} frets - Frets from the lowest string up (-1 = muted)
+ * @param {number} capo - Capo fret (strings at the capo ring open)
+ * @returns {Object} {fingers: Array<number|'T'|null>, barres: [{fret, from, to, finger}],
+ *          problems: Array<string>, playable: boolean}
  */
-function searchSongs(query) {
-    if (!query || query.trim().length === 0) {
-        return [];
+function assignFingering(frets, capo = state.capo) {
+    const fingers = frets.map(() => null);
+    const barres = [];
+    const problems = [];
+    let notes = frets.map((fret, index) => ({ index, fret }))
+        .filter(note => note.fret > capo)
+        .sort((a, b) => a.fret - b.fret || a.index - b.index);
+    
+    if (notes.length === 0) {
+        return { fingers, barres, problems, playable: true };
     }
     
-    const normalizedQuery = query.toLowerCase().trim();
-    const results = [];
+    let firstFinger = 1;
+    if (notes.length > 4) {
+        const barre = findBarre(frets, notes, notes[0].fret);
+        const lowest = notes.find(note => note.index === 0);
+        const others = notes.filter(note => note.index !== 0);
+        
+        if (barre) {
+            barres.push({ ...barre, finger: 1 });
+            notes.filter(note => note.fret === barre.fret).forEach(note => { fingers[note.index] = 1; });
+            notes = notes.filter(note => note.fret !== barre.fret);
+            firstFinger = 2;
+        } else if (lowest && lowest.fret <= others[0].fret) {
+            // Thumb wrapped over the neck frets the bass string
+            fingers[0] = 'T';
+            notes = others;
+        }
+    }
     
-    for (const [key, song] of Object.entries(SONG_DATABASE)) {
-        // Match by title or artist
-        if (key.includes(normalizedQuery) || 
-            song.title.toLowerCase().includes(normalizedQuery) ||
-            song.artist.toLowerCase().includes(normalizedQuery)) {
-            results.push(song);
+    // Each slot is a single note or a group held by one barre finger
+    let slots = notes.map(note => [note]);
+    if (notes.length > 5 - firstFinger) {
+        const barre = [...new Set(notes.map(note => note.fret))]
+            .map(fret => findBarre(frets, notes, fret))
+            .filter(Boolean)
+            .sort((a, b) => (b.to - b.from) - (a.to - a.from))[0];
+        if (barre) {
+            const held = notes.filter(note => note.fret === barre.fret);
+            slots = [...notes.filter(note => note.fret < barre.fret).map(note => [note]), held,
+                ...notes.filter(note => note.fret > barre.fret).map(note => [note])];
+            barres.push({ ...barre, finger: null });
         }
     }
     
-    return results;
+    // One finger per fret above the lowest fretted note, falling back to consecutive fingers
+    const baseFret = slots.length > 0 ? Math.min(barres[0]?.fret ?? Infinity, slots[0][0].fret) : 0;
+    let previous = firstFinger - 1;
+    let assigned = slots.map(slot => (previous = Math.max(previous + 1, 1 + slot[0].fret - baseFret)));
+    if (previous > 4) {
+        assigned = slots.map((slot, i) => firstFinger + i);
+    }
+    
+    slots.forEach((slot, i) => slot.forEach(note => { fingers[note.index] = assigned[i]; }));
+    barres.forEach(barre => {
+        if (barre.finger === null) barre.finger = fingers[barre.from];
+    });
+    
+    if (assigned.some(finger => finger > 4)) {
+        problems.push('Needs more than four fingers');
+    }
+    
+    // Adjacent fingers can reach one fret further apart than their spacing
+    const placed = frets.map((fret, index) => ({ fret, finger: fingers[index] }))
+        .filter(note => typeof note.finger === 'number' && note.finger <= 4)
+        .sort((a, b) => a.finger - b.finger || a.fret - b.fret);
+    for (let i = 1; i < placed.length; i++) {
+        const low = placed[i - 1];
+        const high = placed[i];
+        if (high.finger !== low.finger && high.fret - low.fret > high.finger - low.finger + 1) {
+            problems.push(`Stretch of ${high.fret - low.fret} frets between fingers ${low.finger} and ${high.finger}`);
+        }
+    }
+    
+    return { fingers, barres, problems, playable: problems.length === 0 };
 }
 
 /**
- * Search for chords matching a query
- * @param {string} query - Search query (chord name)
- * @returns {Object|null} Parsed chord info or null
+ * Get the displayed notes as a fret array, when they form a single chord shape
+ * @returns {Array<number>|null} Frets from the lowest string up (-1 = muted), or null
  */
-function searchChords(query) {
-    const parsed = parseChordName(query);
-    if (parsed) {
-        const chordNotes = getChordNotes(parsed.root, parsed.quality);
-        return {
-            name: query,
-            ...parsed,
-            notes: chordNotes
-        };
+function getActiveFrets() {
+    if (state.activeNotes.length === 0) return null;
+    
+    const frets = new Array(CONFIG.strings).fill(-1);
+    for (const note of state.activeNotes) {
+        const index = CONFIG.strings - note.string;
+        if (frets[index] !== -1) return null;
+        frets[index] = note.fret;
     }
-    return null;
+    return frets;
 }
 
 /**
- * Handle search input - determines if query is a chord or song
- * @param {string} query - Search query
- * @returns {Object} {type: 'chord'|'songs', result: ...}
+ * Label markers with their fingers, draw barres and flag impossible shapes
+ * @param {Array<number>} frets - Frets from the lowest string up (-1 = muted)
+ * @param {Object} fingering - Result of assignFingering
  */
-function handleSearch(query) {
-    if (!query || query.trim().length === 0) {
-        return { type: 'empty', result: null };
-    }
+function renderFingering(frets, fingering) {
+    const fretboard = document.querySelector('.fretboard');
+    
+    fingering.fingers.forEach((finger, index) => {
+        if (finger === null) return;
+        const marker = document.getElementById(getPositionId(CONFIG.strings - index, frets[index]))
+            ?.querySelector('.note-marker');
+        if (!marker) return;
+        
+        const label = document.createElement('span');
+        label.className = 'finger-label';
+        label.textContent = finger;
+        marker.appendChild(label);
+        marker.classList.toggle('impossible', !fingering.playable);
+    });
     
-    // First, try to parse as a chord
-    const chordResult = searchChords(query);
-    if (chordResult && chordResult.notes.length > 0) {
-        return { type: 'chord', result: chordResult };
-    }
+    if (!fretboard) return;
     
-    // Otherwise, search for songs
-    const songResults = searchSongs(query);
-    if (songResults.length > 0) {
-        return { type: 'songs', result: songResults };
-    }
+    fingering.barres.forEach(barre => {
+        const start = getPositionCenter(fretboard, { string: CONFIG.strings - barre.from, fret: barre.fret });
+        const end = getPositionCenter(fretboard, { string: CONFIG.strings - barre.to, fret: barre.fret });
+        if (!start || !end) return;
+        
+        const bar = document.createElement('div');
+        bar.className = 'barre-bar';
+        bar.style.left = `${start.x}px`;
+        bar.style.top = `${Math.min(start.y, end.y)}px`;
+        bar.style.height = `${Math.abs(end.y - start.y)}px`;
+        bar.title = `Barre with finger ${barre.finger} at fret ${barre.fret}`;
+        fretboard.appendChild(bar);
+    });
     
-    return { type: 'notfound', result: null };
+    if (!fingering.playable) {
+        const warning = document.createElement('div');
+        warning.className = 'fingering-warning';
+        warning.textContent = `⚠ ${fingering.problems.join(' · ')}`;
+        fretboard.appendChild(warning);
+    }
 }
 
-// ================================
-// SEARCH UI INTEGRATION
-// ================================
+/**
+ * Remove finger labels, barres and fingering warnings
+ */
+function clearFingering() {
+    document.querySelectorAll('.finger-label, .barre-bar, .fingering-warning').forEach(el => el.remove());
+    document.querySelectorAll('.note-marker.impossible').forEach(marker => marker.classList.remove('impossible'));
+}
 
 /**
- * Initialize search functionality
+ * Show the fingering for the chord shape on the fretboard
+ * Scales and notes stacked on one string have no single-hand fingering and are skipped.
+ * @returns {Object|null} Result of assignFingering, or null when nothing is shown
  */
-function initSearch() {
-    const searchInput = document.querySelector('.search-input');
-    const searchBtn = document.querySelector('.search-btn');
-    
-    if (!searchInput || !searchBtn) {
-        console.warn('Search elements not found');
-        return;
-    }
+function updateFingering() {
+    clearFingering();
+    if (!state.showFingering || state.currentScale) return null;
     
-    // Handle search button click
-    searchBtn.addEventListener('click', () => {
-        performSearch(searchInput.value);
-    });
-    
-    // Handle Enter key
-    searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            performSearch(searchInput.value);
-        }
-    });
+    const frets = getActiveFrets();
+    if (!frets) return null;
     
-    // Real-time search suggestions (debounced)
-    let debounceTimer;
-    searchInput.addEventListener('input', () => {
-        clearTimeout(debounceTimer);
-        debounceTimer = setTimeout(() => {
-            showSearchSuggestions(searchInput.value);
-        }, 300);
-    });
+    const fingering = assignFingering(frets);
+    renderFingering(frets, fingering);
+    return fingering;
 }
 
 /**
- * Perform search and display results
- * @param {string} query - Search query
+ * Toggle finger labels and barres
+ * @param {boolean} showFingering - Whether to show the fingering
  */
-function performSearch(query) {
-    const result = handleSearch(query);
-    
-    switch (result.type) {
-        case 'chord':
-            displayChord(result.result.name);
-            console.log(`Chord found: ${result.result.name}`, result.result);
-            hideSearchResults();
-            break;
-            
-        case 'songs':
-            showSongResults(result.result);
-            break;
-            
-        case 'notfound':
-            console.log(`No results found for: ${query}`);
-            showNoResults(query);
-            break;
-            
-        case 'empty':
-            hideSearchResults();
+function setFingeringMode(showFingering) {
+    state.showFingering = showFingering;
+    document.getElementById('fingering-btn')?.classList.toggle('active', showFingering);
+    updateFingering();
+}
+
+// ================================
+// SCALE THEORY & DISPLAY
+// ================================
+
+/**
+ * Scale intervals in semitones from root
+ */
+const SCALE_INTERVALS = {
+    // Major & minor scales
+    'major': [0, 2, 4, 5, 7, 9, 11],            // 1, 2, 3, 4, 5, 6, 7
+    'naturalMinor': [0, 2, 3, 5, 7, 8, 10],     // 1, 2, b3, 4, 5, b6, b7
+    'harmonicMinor': [0, 2, 3, 5, 7, 8, 11],    // 1, 2, b3, 4, 5, b6, 7
+    'melodicMinor': [0, 2, 3, 5, 7, 9, 11],     // 1, 2, b3, 4, 5, 6, 7 (ascending / jazz minor)
+
+    // Modes of the major scale
+    'ionian': [0, 2, 4, 5, 7, 9, 11],           // 1, 2, 3, 4, 5, 6, 7
+    'dorian': [0, 2, 3, 5, 7, 9, 10],           // 1, 2, b3, 4, 5, 6, b7
+    'phrygian': [0, 1, 3, 5, 7, 8, 10],         // 1, b2, b3, 4, 5, b6, b7
+    'lydian': [0, 2, 4, 6, 7, 9, 11],           // 1, 2, 3, #4, 5, 6, 7
+    'mixolydian': [0, 2, 4, 5, 7, 9, 10],       // 1, 2, 3, 4, 5, 6, b7
+    'aeolian': [0, 2, 3, 5, 7, 8, 10],          // 1, 2, b3, 4, 5, b6, b7
+    'locrian': [0, 1, 3, 5, 6, 8, 10],          // 1, b2, b3, 4, b5, b6, b7
+
+    // Pentatonic & blues
+    'majorPentatonic': [0, 2, 4, 7, 9],         // 1, 2, 3, 5, 6
+    'minorPentatonic': [0, 3, 5, 7, 10],        // 1, b3, 4, 5, b7
+    'blues': [0, 3, 5, 6, 7, 10],               // 1, b3, 4, b5, 5, b7
+
+    // Symmetric scales
+    'wholeTone': [0, 2, 4, 6, 8, 10],           // 1, 2, 3, #4, #5, b7
+    'diminished': [0, 2, 3, 5, 6, 8, 9, 11],    // 1, 2, b3, 4, b5, b6, 6, 7 (whole-half)
+    'halfWholeDiminished': [0, 1, 3, 4, 6, 7, 9, 10], // 1, b2, #2, 3, #4, 5, 6, b7
+
+    // Dominant colours (modes of melodic and harmonic minor)
+    'lydianDominant': [0, 2, 4, 6, 7, 9, 10],   // 1, 2, 3, #4, 5, 6, b7
+    'altered': [0, 1, 3, 4, 6, 8, 10],          // 1, b9, #9, 3, #11, b13, b7 (super locrian)
+    'phrygianDominant': [0, 1, 4, 5, 7, 8, 10], // 1, b2, 3, 4, 5, b6, b7
+};
+
+/**
+ * Display names for each scale key
+ */
+const SCALE_DISPLAY_NAMES = {
+    'major': 'Major',
+    'naturalMinor': 'Natural Minor',
+    'harmonicMinor': 'Harmonic Minor',
+    'melodicMinor': 'Melodic Minor',
+    'ionian': 'Ionian',
+    'dorian': 'Dorian',
+    'phrygian': 'Phrygian',
+    'lydian': 'Lydian',
+    'mixolydian': 'Mixolydian',
+    'aeolian': 'Aeolian',
+    'locrian': 'Locrian',
+    'majorPentatonic': 'Major Pentatonic',
+    'minorPentatonic': 'Minor Pentatonic',
+    'blues': 'Blues',
+    'wholeTone': 'Whole Tone',
+    'diminished': 'Diminished (Whole-Half)',
+    'halfWholeDiminished': 'Diminished (Half-Whole)',
+    'lydianDominant': 'Lydian Dominant',
+    'altered': 'Altered',
+    'phrygianDominant': 'Phrygian Dominant',
+};
+
+/**
+ * Accepted spellings for scale names in the search box (lowercase, single-spaced)
+ */
+const SCALE_ALIASES = {
+    'major': 'major',
+    'minor': 'naturalMinor',
+    'natural minor': 'naturalMinor',
+    'harmonic minor': 'harmonicMinor',
+    'melodic minor': 'melodicMinor',
+    'jazz minor': 'melodicMinor',
+    'ionian': 'ionian',
+    'dorian': 'dorian',
+    'phrygian': 'phrygian',
+    'lydian': 'lydian',
+    'mixolydian': 'mixolydian',
+    'aeolian': 'aeolian',
+    'locrian': 'locrian',
+    'major pentatonic': 'majorPentatonic',
+    'pentatonic': 'majorPentatonic',
+    'minor pentatonic': 'minorPentatonic',
+    'blues': 'blues',
+    'minor blues': 'blues',
+    'whole tone': 'wholeTone',
+    'wholetone': 'wholeTone',
+    'diminished': 'diminished',
+    'whole half': 'diminished',
+    'whole half diminished': 'diminished',
+    'half whole': 'halfWholeDiminished',
+    'half whole diminished': 'halfWholeDiminished',
+    'lydian dominant': 'lydianDominant',
+    'lydian b7': 'lydianDominant',
+    'altered': 'altered',
+    'super locrian': 'altered',
+    'phrygian dominant': 'phrygianDominant',
+};
+
+/**
+ * Parse a scale query into its components
+ * @param {string} query - e.g., 'A dorian', 'E minor pentatonic', 'Bb whole-tone scale'
+ * @returns {Object|null} {root: string, scale: string, name: string} or null if not a scale
+ */
+function parseScaleName(query) {
+    if (!query || typeof query !== 'string') {
+        return null;
+    }
+
+    // Root note, then at least one space, then the scale name
+    const match = query.trim().match(/^([A-Ga-g])([#b]?)\s+(.+)$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, rootLetter, accidental, namePart] = match;
+
+    // Normalize: lowercase, hyphens as spaces, drop a trailing "scale" or "mode"
+    const normalizedName = namePart
+        .toLowerCase()
+        .replace(/-/g, ' ')
+        .replace(/\s+(scale|mode)$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const scale = SCALE_ALIASES[normalizedName];
+    if (!scale) {
+        return null;
+    }
+
+    const root = rootLetter.toUpperCase() + accidental;
+    return {
+        root,
+        scale,
+        name: `${root} ${SCALE_DISPLAY_NAMES[scale]}`
+    };
+}
+
+/**
+ * Get scale notes from root and scale type
+ * @param {string} root - Root note (e.g., 'A', 'F#')
+ * @param {string} scale - Scale key (e.g., 'dorian', 'minorPentatonic')
+ * @returns {Array<string>} Array of note names
+ */
+function getScaleNotes(root, scale) {
+    const intervals = SCALE_INTERVALS[scale];
+    if (!intervals) {
+        console.warn(`Unknown scale: ${scale}`);
+        return [];
+    }
+
+    const rootIndex = getNoteIndex(root);
+    if (rootIndex === -1) {
+        console.warn(`Unknown root note: ${root}`);
+        return [];
+    }
+
+    const labels = getScaleDegreeLabels(intervals);
+    return intervals.map(interval => spellInterval(root, interval, labels[interval]));
+}
+
+/**
+ * Calculate every fretboard position belonging to a scale
+ * @param {string} root - Root note
+ * @param {string} scale - Scale key
+ * @returns {Array} Array of {string, fret, isRoot} objects covering all frets
+ */
+function calculateScalePositions(root, scale) {
+    const intervals = SCALE_INTERVALS[scale];
+    const rootIndex = getNoteIndex(root);
+    if (!intervals || rootIndex === -1) return [];
+
+    const scaleIndices = new Set(intervals.map(interval => (rootIndex + interval) % 12));
+    const positions = [];
+
+    // Nothing below a capo can sound
+    for (let stringNum = 1; stringNum <= CONFIG.strings; stringNum++) {
+        for (let fret = state.capo; fret <= CONFIG.frets; fret++) {
+            const noteIndex = (OPEN_STRING_NOTES[stringNum] + fret) % 12;
+            if (scaleIndices.has(noteIndex)) {
+                positions.push({
+                    string: stringNum,
+                    fret: fret,
+                    isRoot: noteIndex === rootIndex
+                });
+            }
+        }
+    }
+
+    return positions;
+}
+
+/**
+ * Display a scale across the whole fretboard
+ * @param {string} root - Root note (e.g., 'A')
+ * @param {string} scale - Scale key (e.g., 'dorian')
+ */
+function displayScale(root, scale) {
+    const positions = calculateScalePositions(root, scale);
+
+    if (positions.length === 0) {
+        console.warn(`No positions found for scale: ${root} ${scale}`);
+        return;
+    }
+
+    closeVoicingBrowser();
+    state.currentChord = null;
+    state.currentScale = { root, scale };
+    highlightChord(positions);
+
+    console.log(`Displayed scale: ${root} ${SCALE_DISPLAY_NAMES[scale]}`, positions.length, 'positions');
+}
+
+// ================================
+// KEYS & ENHARMONIC SPELLING
+// ================================
+
+/**
+ * Degree labels for notes outside a key's scale, by semitones above the tonic
+ * (raised 4th and lowered 2/3/6/7 in major; picardy 3rd, 6th and leading tone in minor)
+ */
+const CHROMATIC_KEY_DEGREES = {
+    major: { 1: 'b2', 3: 'b3', 6: '#4', 8: 'b6', 10: 'b7' },
+    minor: { 1: 'b2', 4: '3', 6: 'b5', 9: '6', 11: '7' },
+};
+
+/**
+ * Spell the note a given interval above a root, using the degree's letter
+ * @param {string} root - Root note as spelled (e.g. 'Bb', 'F#')
+ * @param {number} semitones - Interval in semitones
+ * @param {string} degree - Degree label giving the letter (e.g. 'b3', '#11', 'bb7')
+ * @returns {string} Spelled note (e.g. 'Db', 'E#', 'Bbb')
+ */
+function spellInterval(root, semitones, degree) {
+    const rootIndex = getNoteIndex(root);
+    const target = ((rootIndex + semitones) % 12 + 12) % 12;
+    const degreeNumber = parseInt(String(degree).replace(/[b#]/g, ''), 10);
+    const rootLetterPos = NOTE_LETTERS.indexOf(root[0]);
+    
+    if (rootIndex === -1 || rootLetterPos === -1 || !degreeNumber) {
+        return getNoteName(target);
+    }
+    
+    const letter = NOTE_LETTERS[(rootLetterPos + degreeNumber - 1) % 7];
+    const offset = ((target - LETTER_INDICES[letter] + 18) % 12) - 6;
+    
+    // Beyond double sharps/flats the degree was the wrong one - use a plain name
+    if (Math.abs(offset) > 2) return getNoteName(target);
+    
+    return letter + (offset > 0 ? '#'.repeat(offset) : 'b'.repeat(-offset));
+}
+
+/**
+ * Parse a key name
+ * @param {string} keyName - e.g., 'G major', 'E minor', 'Bb', 'F#m'
+ * @returns {Object|null} {tonic: string, mode: 'major'|'minor'} or null
+ */
+function parseKey(keyName) {
+    if (!keyName || typeof keyName !== 'string') return null;
+    
+    const match = keyName.trim().match(/^([A-Ga-g])([#b]?)\s*(major|minor|maj|min|m)?$/i);
+    if (!match) return null;
+    
+    const [, letter, accidental, modeName = ''] = match;
+    const isMinor = /^m(in(or)?)?$/i.test(modeName) && modeName !== 'M';
+    
+    return {
+        tonic: letter.toUpperCase() + accidental,
+        mode: isMinor ? 'minor' : 'major'
+    };
+}
+
+/**
+ * Format a key for display
+ * @param {Object} key - {tonic, mode}
+ * @returns {string} e.g. 'G major'
+ */
+function formatKey(key) {
+    return key ? `${key.tonic} ${key.mode}` : '';
+}
+
+/**
+ * Spell a pitch class as it is written in a key
+ * Diatonic notes take the key's scale letters (Cb in Gb major, E# in F# major);
+ * chromatic notes use the common altered degrees (bVII, #IV, raised 7th in minor).
+ * @param {number} noteIndex - Semitone index (0-11)
+ * @param {Object} key - {tonic, mode}
+ * @returns {string} Spelled note name
+ */
+function spellNoteInKey(noteIndex, key) {
+    const tonicIndex = getNoteIndex(key.tonic);
+    if (tonicIndex === -1) return getNoteName(noteIndex);
+    
+    const semitones = (noteIndex - tonicIndex + 12) % 12;
+    const scaleLabels = getScaleDegreeLabels(SCALE_INTERVALS[key.mode === 'minor' ? 'naturalMinor' : 'major']);
+    const scaleIntervals = SCALE_INTERVALS[key.mode === 'minor' ? 'naturalMinor' : 'major'];
+    
+    const degree = scaleIntervals.includes(semitones)
+        ? scaleLabels[semitones]
+        : CHROMATIC_KEY_DEGREES[key.mode][semitones];
+    
+    return spellInterval(key.tonic, semitones, degree);
+}
+
+/**
+ * Preferred tonic spellings for each key, by semitone index (fewest accidentals)
+ */
+const KEY_TONIC_NAMES = {
+    major: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'],
+    minor: ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'],
+};
+
+/**
+ * Rewrite a chord name's root and bass, keeping its suffix as written
+ * @param {string} chordName - e.g. 'A#m7', 'D/F#'
+ * @param {Function} mapNote - Maps a pitch class (0-11) to the new note name
+ * @returns {string} Rewritten chord name, or the input if it cannot be parsed
+ */
+function mapChordNotes(chordName, mapNote) {
+    const parsed = parseChordName(chordName);
+    if (!isValidChord(parsed)) return chordName;
+    
+    let suffix = chordName.trim().slice(parsed.root.length);
+    if (parsed.bass) {
+        suffix = suffix.slice(0, suffix.lastIndexOf('/'));
+    }
+    
+    const root = mapNote(getNoteIndex(parsed.root));
+    const bass = parsed.bass ? mapNote(getNoteIndex(parsed.bass)) : null;
+    
+    return root + suffix + (bass ? `/${bass}` : '');
+}
+
+/**
+ * Respell a chord name's root and bass for a key, keeping its suffix as written
+ * @param {string} chordName - e.g. 'A#m7', 'D/F#'
+ * @param {Object|null} key - {tonic, mode}; without a key the name is returned unchanged
+ * @returns {string} e.g. 'Bbm7' in F major
+ */
+function spellChordName(chordName, key) {
+    if (!key) return chordName;
+    return mapChordNotes(chordName, noteIndex => spellNoteInKey(noteIndex, key));
+}
+
+/**
+ * Move a key by a number of semitones
+ * @param {Object|null} key - {tonic, mode}
+ * @param {number} semitones - Distance to move (negative = down)
+ * @returns {Object|null} Transposed key with a conventional tonic spelling
+ */
+function transposeKey(key, semitones) {
+    if (!key) return null;
+    const tonicIndex = ((getNoteIndex(key.tonic) + semitones) % 12 + 12) % 12;
+    return { tonic: KEY_TONIC_NAMES[key.mode][tonicIndex], mode: key.mode };
+}
+
+/**
+ * Move a chord name by a number of semitones, keeping its quality and slash bass
+ * @param {string} chordName - e.g. 'D/F#'
+ * @param {number} semitones - Distance to move (negative = down)
+ * @param {Object|null} key - Key to spell the result in (default: Sharps/Flats setting)
+ * @returns {string} e.g. 'E/G#' for ('D/F#', 2)
+ */
+function transposeChordName(chordName, semitones, key = null) {
+    return mapChordNotes(chordName, noteIndex => {
+        const target = ((noteIndex + semitones) % 12 + 12) % 12;
+        return key ? spellNoteInKey(target, key) : getNoteName(target);
+    });
+}
+
+/**
+ * Semitones between two keys' tonics, taking the shorter way round (-5 to +6)
+ * @param {Object} fromKey - {tonic, mode}
+ * @param {Object} toKey - {tonic, mode}
+ * @returns {number} Signed semitone distance
+ */
+function getTransposeInterval(fromKey, toKey) {
+    const distance = ((getNoteIndex(toKey.tonic) - getNoteIndex(fromKey.tonic)) % 12 + 12) % 12;
+    return distance > 6 ? distance - 12 : distance;
+}
+
+// ================================
+// KEY DETECTION & ROMAN NUMERALS
+// ================================
+
+/**
+ * Roman numeral for each semitone above the tonic
+ * Minor keys use the same major-scale reference (i, bIII, iv, bVI, bVII).
+ */
+const ROMAN_DEGREES = {
+    major: ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'],
+    minor: ['I', 'bII', 'II', 'bIII', 'III', 'IV', 'bV', 'V', 'bVI', 'VI', 'bVII', 'VII'],
+};
+
+/**
+ * Scales whose notes count as diatonic in each mode
+ * (minor keys also take the raised 7th of harmonic minor for V and vii°)
+ */
+const KEY_SCALES = {
+    major: ['major'],
+    minor: ['naturalMinor', 'harmonicMinor'],
+};
+
+/**
+ * Key detection scoring weights (per chord)
+ */
+const KEY_SCORES = {
+    diatonic: 2,
+    secondary: 0.75,
+    borrowed: 0.5,
+    chromatic: -0.5,
+    tonicChord: 1,
+    tonicFirstOrLast: 1,
+    dominant: 0.5,
+};
+
+/**
+ * How sharply key scores separate into confidences (lower = more decisive)
+ */
+const KEY_CONFIDENCE_SPREAD = 0.25;
+
+/**
+ * Get the pitch classes of a parsed chord
+ * @param {Object} parsed - Result of parseChordName
+ * @returns {number[]} Pitch classes (0-11)
+ */
+function getChordPitchClasses(parsed) {
+    const rootIndex = getNoteIndex(parsed.root);
+    return parsed.intervals.map(interval => (rootIndex + interval) % 12);
+}
+
+/**
+ * Classify a chord's triad from its intervals
+ * @param {number[]} intervals - Semitones from the root
+ * @returns {string} 'major', 'minor', 'diminished', 'augmented' or 'other' (sus, power chords)
+ */
+function getTriadType(intervals) {
+    const has = semitones => intervals.includes(semitones);
+    if (has(4) && has(8) && !has(7)) return 'augmented';
+    if (has(4)) return 'major';
+    if (has(3) && has(6) && !has(7)) return 'diminished';
+    if (has(3)) return 'minor';
+    return 'other';
+}
+
+/**
+ * Check whether all of a chord's notes fit one of a key's scales
+ * @param {number[]} pitchClasses - Chord pitch classes
+ * @param {Object} key - {tonic, mode}
+ * @returns {boolean} True if the chord is diatonic to the key
+ */
+function isDiatonicToKey(pitchClasses, key) {
+    const tonicIndex = getNoteIndex(key.tonic);
+    return KEY_SCALES[key.mode].some(scale =>
+        pitchClasses.every(pc => SCALE_INTERVALS[scale].includes((pc - tonicIndex + 12) % 12))
+    );
+}
+
+/**
+ * Get the diatonic triad built on a scale degree of a key
+ * Minor keys take the major V of harmonic minor.
+ * @param {number} degree - Semitones above the tonic
+ * @param {string} mode - 'major' or 'minor'
+ * @returns {number[]|null} Triad intervals, or null if the degree is not in the scale
+ */
+function getDiatonicTriad(degree, mode) {
+    const scale = SCALE_INTERVALS[mode === 'major' ? 'major' : degree === 7 ? 'harmonicMinor' : 'naturalMinor'];
+    const index = scale.indexOf(degree);
+    if (index === -1) return null;
+    
+    return [0, 2, 4].map(step => (scale[(index + step) % 7] - degree + 12) % 12);
+}
+
+/**
+ * Build the Roman numeral for a chord on a scale degree
+ * @param {number} degree - Semitones above the tonic
+ * @param {number[]} intervals - Chord intervals from the root
+ * @param {string} mode - 'major' or 'minor'
+ * @param {number|null} bassInterval - Semitones from the chord root to a slash bass
+ * @returns {string} e.g. 'V7', 'ii', 'bVII', 'viiø7', 'I6'
+ */
+function formatRomanNumeral(degree, intervals, mode, bassInterval = null) {
+    const triad = getTriadType(intervals);
+    const has = semitones => intervals.includes(semitones);
+    const seventh = has(10) || has(11) || (triad === 'diminished' && has(9));
+    
+    let numeral = ROMAN_DEGREES[mode][degree];
+    if (triad === 'minor' || triad === 'diminished') {
+        numeral = numeral.replace(/[IV]+/, letters => letters.toLowerCase());
+    }
+    
+    let suffix = '';
+    if (triad === 'diminished') {
+        suffix = has(10) ? 'ø' : '°';
+    } else if (triad === 'augmented') {
+        suffix = '+';
+    }
+    if (seventh) {
+        suffix += has(11) ? 'maj7' : '7';
+    }
+    if (triad === 'other') {
+        suffix += has(5) ? 'sus4' : has(2) ? 'sus2' : seventh ? '' : '5';
+    }
+    
+    // Figured-bass inversion symbols
+    if (bassInterval !== null) {
+        const position = [3, 4].includes(bassInterval) ? 1
+            : [6, 7, 8].includes(bassInterval) ? 2
+            : [9, 10, 11].includes(bassInterval) && seventh ? 3
+            : 0;
+        const figures = seventh ? ['', '65', '43', '42'] : ['', '6', '64'];
+        if (position > 0) {
+            suffix = suffix.replace('7', '') + figures[position];
+        }
+    }
+    
+    return numeral + suffix;
+}
+
+/**
+ * Analyse a chord's function in a key
+ * @param {string} chordName - Chord name
+ * @param {Object} key - {tonic, mode}
+ * @returns {Object|null} {numeral, degree, type, target?, source?} where type is
+ *          'diatonic', 'secondary' (dominant of another degree), 'borrowed'
+ *          (from the parallel key) or 'chromatic'
+ */
+function analyzeChordInKey(chordName, key) {
+    const parsed = parseChordName(chordName);
+    if (!parsed?.intervals || !key) return null;
+    
+    const tonicIndex = getNoteIndex(key.tonic);
+    const rootIndex = getNoteIndex(parsed.root);
+    const degree = (rootIndex - tonicIndex + 12) % 12;
+    const bassInterval = parsed.bass ? (getNoteIndex(parsed.bass) - rootIndex + 12) % 12 : null;
+    const pitchClasses = getChordPitchClasses(parsed);
+    const numeral = formatRomanNumeral(degree, parsed.intervals, key.mode, bassInterval);
+    
+    if (isDiatonicToKey(pitchClasses, key)) {
+        return { numeral, degree, type: 'diatonic' };
+    }
+    
+    // Modal interchange from the parallel major or minor
+    const parallel = { tonic: key.tonic, mode: key.mode === 'major' ? 'minor' : 'major' };
+    if (isDiatonicToKey(pitchClasses, parallel)) {
+        return { numeral, degree, type: 'borrowed', source: formatKey(parallel) };
+    }
+    
+    // Secondary dominant: a major or dominant-7th chord a fifth above a diatonic degree
+    const targetDegree = (degree + 5) % 12;
+    const targetIntervals = getDiatonicTriad(targetDegree, key.mode);
+    if (getTriadType(parsed.intervals) === 'major' && !parsed.intervals.includes(11) &&
+        targetDegree !== 0 && targetIntervals && getTriadType(targetIntervals) !== 'diminished') {
+        const target = formatRomanNumeral(targetDegree, targetIntervals, key.mode);
+        const dominant = parsed.intervals.includes(10) ? 'V7' : 'V';
+        return { numeral: `${dominant}/${target}`, degree, type: 'secondary', target };
+    }
+    
+    return { numeral, degree, type: 'chromatic' };
+}
+
+/**
+ * Score how well a progression fits a key
+ * @param {string[]} chordNames - Chord names
+ * @param {Object} key - {tonic, mode}
+ * @returns {number} Average score per chord
+ */
+function scoreKey(chordNames, key) {
+    const tonicTriad = key.mode === 'minor' ? 'minor' : 'major';
+    let score = 0;
+    
+    chordNames.forEach((chordName, index) => {
+        const analysis = analyzeChordInKey(chordName, key);
+        if (!analysis) return;
+        
+        score += KEY_SCORES[analysis.type];
+        
+        const triad = getTriadType(parseChordName(chordName).intervals);
+        if (analysis.degree === 0 && triad === tonicTriad) {
+            score += KEY_SCORES.tonicChord;
+            if (index === 0) score += KEY_SCORES.tonicFirstOrLast;
+            if (index === chordNames.length - 1) score += KEY_SCORES.tonicFirstOrLast;
+        }
+        if (analysis.degree === 7 && triad === 'major') {
+            score += KEY_SCORES.dominant;
+        }
+    });
+    
+    return score / chordNames.length;
+}
+
+/**
+ * Detect the most likely key of a progression
+ * @param {string[]} chordNames - Chord names
+ * @param {number} limit - Number of candidates to return
+ * @returns {Object|null} {key, confidence, candidates: [{key, confidence}]} with
+ *          confidences between 0 and 1; candidates[0] is the detected key
+ */
+function detectKey(chordNames, limit = 3) {
+    const chords = chordNames.filter(chord => parseChordName(chord)?.intervals);
+    if (chords.length === 0) return null;
+    
+    const scored = ['major', 'minor'].flatMap(mode =>
+        KEY_TONIC_NAMES[mode].map(tonic => {
+            const key = { tonic, mode };
+            return { key, score: scoreKey(chords, key) };
+        })
+    ).sort((a, b) => b.score - a.score);
+    
+    // Softmax over all 24 keys turns scores into confidences
+    const best = scored[0].score;
+    const weights = scored.map(entry => Math.exp((entry.score - best) / KEY_CONFIDENCE_SPREAD));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const candidates = scored.slice(0, limit).map((entry, i) => ({
+        key: entry.key,
+        confidence: weights[i] / total,
+    }));
+    
+    return { key: candidates[0].key, confidence: candidates[0].confidence, candidates };
+}
+
+/**
+ * Pick the key to spell and analyse a song in
+ * The written key wins unless detection does not even rank it as a candidate.
+ * @param {Object} song - SONG_DATABASE entry
+ * @returns {Object|null} {tonic, mode}
+ */
+function resolveSongKey(song) {
+    const written = parseKey(song.key);
+    const detection = detectKey(song.chords);
+    if (!detection) return written;
+    if (!written) return detection.key;
+    
+    const writtenIndex = getNoteIndex(written.tonic);
+    const agrees = detection.candidates.some(({ key }) =>
+        key.mode === written.mode && getNoteIndex(key.tonic) === writtenIndex
+    );
+    return agrees ? written : detection.key;
+}
+
+// ================================
+// CHORD IDENTIFICATION
+// ================================
+
+/**
+ * Chord symbol suffix for each quality in CHORD_INTERVALS
+ */
+const CHORD_SYMBOLS = {
+    'major': '',
+    'minor': 'm',
+    'dim': 'dim',
+    'aug': 'aug',
+    'maj7': 'maj7',
+    '7': '7',
+    'm7': 'm7',
+    'dim7': 'dim7',
+    'm7b5': 'm7b5',
+    'mMaj7': 'mMaj7',
+    'aug7': 'aug7',
+    '9': '9',
+    'maj9': 'maj9',
+    'm9': 'm9',
+    'add9': 'add9',
+    '6': '6',
+    'm6': 'm6',
+    'madd9': 'madd9',
+    'add11': 'add11',
+    '6/9': '6/9',
+    'm6/9': 'm6/9',
+    '11': '11',
+    'm11': 'm11',
+    'maj11': 'maj11',
+    '13': '13',
+    'm13': 'm13',
+    'maj13': 'maj13',
+    '7b5': '7b5',
+    '7b9': '7b9',
+    '7#9': '7#9',
+    '7#11': '7#11',
+    '7b13': '7b13',
+    '9#11': '9#11',
+    'maj7#11': 'maj7#11',
+    '7alt': '7alt',
+    'sus2': 'sus2',
+    'sus4': 'sus4',
+    '7sus4': '7sus4',
+    '9sus4': '9sus4',
+    '5': '5',
+};
+
+/**
+ * Names for the chord tone sitting in the bass, by interval above the root
+ */
+const INVERSION_NAMES = {
+    3: '1st inversion', 4: '1st inversion',
+    6: '2nd inversion', 7: '2nd inversion', 8: '2nd inversion',
+    9: '3rd inversion', 10: '3rd inversion', 11: '3rd inversion',
+};
+
+/**
+ * Identify the chords formed by a set of fretboard positions
+ * Every root and quality in CHORD_INTERVALS is tried, allowing an omitted 5th,
+ * a missing root (rootless voicings) and a non-chord bass note (slash chords).
+ * @param {Array} positions - Array of {string, fret} objects
+ * @param {number} limit - Maximum number of candidates to return (default: 6)
+ * @returns {Array} Candidates sorted best first: {name, root, quality, bass, description, score}
+ */
+function identifyChord(positions, limit = 6) {
+    if (!positions || positions.length < 2) return [];
+    
+    const pitches = positions.map(pos => getMidiAtPosition(pos.string, pos.fret));
+    const pitchClasses = new Set(pitches.map(midi => midi % 12));
+    if (pitchClasses.size < 2) return [];
+    
+    const bassIndex = Math.min(...pitches) % 12;
+    const candidates = new Map();
+    
+    for (let rootIndex = 0; rootIndex < 12; rootIndex++) {
+        for (const [quality, intervals] of Object.entries(CHORD_INTERVALS)) {
+            const candidate = scoreChordCandidate(pitchClasses, bassIndex, rootIndex, quality, intervals);
+            if (!candidate) continue;
+            
+            const existing = candidates.get(candidate.name);
+            if (!existing || existing.score < candidate.score) {
+                candidates.set(candidate.name, candidate);
+            }
+        }
+    }
+    
+    return [...candidates.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Score one root/quality reading of a pitch-class set
+ * @param {Set<number>} pitchClasses - Sounding pitch classes
+ * @param {number} bassIndex - Pitch class of the lowest note
+ * @param {number} rootIndex - Candidate root pitch class
+ * @param {string} quality - Candidate quality key
+ * @param {Array<number>} intervals - Intervals of that quality
+ * @returns {Object|null} Candidate or null when the reading does not fit
+ */
+function scoreChordCandidate(pitchClasses, bassIndex, rootIndex, quality, intervals) {
+    const chordTones = new Map(intervals.map(i => [(rootIndex + i) % 12, i % 12]));
+    
+    // Notes outside the chord are only allowed as a slash bass
+    const extras = [...pitchClasses].filter(pc => !chordTones.has(pc));
+    const isSlash = extras.length === 1 && extras[0] === bassIndex;
+    if (extras.length > 0 && !isSlash) return null;
+    
+    const upperStructure = [...pitchClasses].filter(pc => !isSlash || pc !== bassIndex);
+    if (upperStructure.length < 2) return null;
+    
+    // Only the 5th and the root may be left out
+    const missing = [...chordTones.entries()].filter(([pc]) => !pitchClasses.has(pc)).map(([, i]) => i);
+    if (missing.some(i => i !== 0 && i !== 7)) return null;
+    
+    const isRootless = missing.includes(0);
+    if (isRootless && (intervals.length < 4 || upperStructure.length < 3)) return null;
+    
+    let score = 100 - (intervals.length - 3) * 2;
+    const notes = [];
+    
+    if (missing.includes(7)) {
+        score -= 8;
+        notes.push('no 5th');
+    }
+    if (isRootless) {
+        score -= 30;
+        notes.push('rootless');
+    }
+    
+    const bassInterval = (bassIndex - rootIndex + 12) % 12;
+    let description;
+    if (isSlash) {
+        score -= 20;
+        description = 'Slash chord';
+    } else if (bassInterval === 0) {
+        score += 10;
+        description = 'Root position';
+    } else {
+        score -= bassInterval <= 4 ? 5 : bassInterval <= 8 ? 8 : 10;
+        description = INVERSION_NAMES[bassInterval] || 'Inversion';
+    }
+    
+    const rootName = getNoteName(rootIndex);
+    const bassName = getNoteName(bassIndex);
+    const chordSymbol = rootName + (CHORD_SYMBOLS[quality] ?? quality);
+    const name = bassInterval === 0 ? chordSymbol : `${chordSymbol}/${bassName}`;
+    
+    if (notes.length > 0) {
+        description += ` (${notes.join(', ')})`;
+    }
+    if (bassInterval !== 0) {
+        description = `${chordSymbol} over ${bassName} · ${description}`;
+    }
+    
+    return {
+        name,
+        root: rootName,
+        quality,
+        bass: bassInterval === 0 ? null : bassName,
+        description,
+        score
+    };
+}
+
+// ================================
+// CHORD IDENTIFICATION UI
+// ================================
+
+/**
+ * Refresh the chord-naming panel from the active positions
+ */
+function updateChordIdentification() {
+    const existing = document.querySelector('.chord-id-panel');
+    
+    // Scales light up the whole neck - nothing to name there
+    const candidates = state.currentScale ? [] : identifyChord(state.activeNotes);
+    
+    if (candidates.length === 0) {
+        existing?.remove();
+        return;
+    }
+    
+    const panel = existing || document.createElement('section');
+    panel.className = 'chord-id-panel glass-panel';
+    
+    const pitchClasses = [...new Set(state.activeNotes
+        .map(pos => getMidiAtPosition(pos.string, pos.fret))
+        .sort((a, b) => a - b)
+        .map(midi => getNoteName(midi % 12)))];
+    
+    const [best, ...others] = candidates;
+    panel.innerHTML = `
+        <div class="chord-id-header">
+            <span class="chord-id-label">You're playing</span>
+            <span class="chord-id-notes">${pitchClasses.join(' · ')}</span>
+        </div>
+        <div class="chord-id-best">
+            <span class="chord-id-name">${best.name}</span>
+            <span class="chord-id-description">${best.description}</span>
+        </div>
+        ${others.length > 0 ? `
+        <div class="chord-id-alternatives">
+            <span class="chord-id-label">Also reads as</span>
+            ${others.map(c => `<button class="chord-id-chip" data-name="${c.name}" title="${c.description}">${c.name}</button>`).join('')}
+        </div>` : ''}
+    `;
+    
+    // Clicking a reading labels the shape against that root (useful with the Root button)
+    panel.querySelectorAll('.chord-id-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            state.currentChord = chip.dataset.name;
+            refreshNoteLabels();
+        });
+    });
+    
+    if (!existing) {
+        const anchor = document.querySelector('.voicing-browser') || document.querySelector('.fretboard-panel');
+        anchor?.after(panel);
+    }
+}
+
+// ================================
+// SONG SEARCH - MOCK DATABASE
+// ================================
+
+const SONG_DATABASE = {
+    'wonderwall': {
+        title: 'Wonderwall',
+        artist: 'Oasis',
+        chords: ['Em7', 'G', 'Dsus4', 'A7sus4'],
+        key: 'E minor'
+    },
+    'hotel california': {
+        title: 'Hotel California',
+        artist: 'Eagles',
+        chords: ['Am', 'E7', 'G', 'D', 'F', 'C', 'Dm', 'E'],
+        key: 'B minor'
+    },
+    'wish you were here': {
+        title: 'Wish You Were Here',
+        artist: 'Pink Floyd',
+        chords: ['Em7', 'G', 'A7sus4', 'C', 'D', 'Am'],
+        key: 'G major'
+    },
+    'stairway to heaven': {
+        title: 'Stairway to Heaven',
+        artist: 'Led Zeppelin',
+        chords: ['Am', 'E+', 'C', 'D', 'Fmaj7', 'G', 'Am7'],
+        key: 'A minor'
+    },
+    'hallelujah': {
+        title: 'Hallelujah',
+        artist: 'Leonard Cohen',
+        chords: ['C', 'Am', 'F', 'G', 'E7'],
+        key: 'C major'
+    },
+    'blackbird': {
+        title: 'Blackbird',
+        artist: 'The Beatles',
+        chords: ['G', 'Am7', 'G/B', 'C', 'A7', 'D7'],
+        key: 'G major'
+    },
+    'nothing else matters': {
+        title: 'Nothing Else Matters',
+        artist: 'Metallica',
+        chords: ['Em', 'Am', 'C', 'D', 'G', 'B7'],
+        key: 'E minor'
+    },
+    'house of the rising sun': {
+        title: 'House of the Rising Sun',
+        artist: 'The Animals',
+        chords: ['Am', 'C', 'D', 'F', 'E'],
+        key: 'A minor'
+    },
+    'sweet home alabama': {
+        title: 'Sweet Home Alabama',
+        artist: 'Lynyrd Skynyrd',
+        chords: ['D', 'C', 'G'],
+        key: 'D major'
+    },
+    'knockin on heavens door': {
+        title: "Knockin' on Heaven's Door",
+        artist: 'Bob Dylan',
+        chords: ['G', 'D', 'Am', 'C'],
+        key: 'G major'
+    }
+};
+
+/**
+ * Search for songs matching a query
+ * @param {string} query - Search query
+ * @returns {Array} Array of matching song objects
+ */
+function searchSongs(query) {
+    if (!query || query.trim().length === 0) {
+        return [];
+    }
+    
+    const normalizedQuery = query.toLowerCase().trim();
+    const results = [];
+    
+    for (const [key, song] of Object.entries(SONG_DATABASE)) {
+        // Match by title or artist
+        if (key.includes(normalizedQuery) || 
+            song.title.toLowerCase().includes(normalizedQuery) ||
+            song.artist.toLowerCase().includes(normalizedQuery)) {
+            results.push(song);
+        }
+    }
+    
+    return results;
+}
+
+/**
+ * Search for chords matching a query
+ * @param {string} query - Search query (chord name)
+ * @returns {Object|null} Parsed chord info or null
+ */
+function searchChords(query) {
+    const parsed = parseChordName(query);
+    if (parsed && parsed.error) {
+        return { name: query, ...parsed, notes: [] };
+    }
+    if (isValidChord(parsed)) {
+        const chordNotes = getChordNotes(parsed.root, parsed.intervals);
+        return {
+            name: query,
+            ...parsed,
+            notes: chordNotes
+        };
+    }
+    return null;
+}
+
+/**
+ * Search for a scale matching a query
+ * @param {string} query - Search query (e.g., 'A dorian')
+ * @returns {Object|null} Parsed scale info or null
+ */
+function searchScales(query) {
+    const parsed = parseScaleName(query);
+    if (parsed) {
+        return {
+            ...parsed,
+            notes: getScaleNotes(parsed.root, parsed.scale)
+        };
+    }
+    return null;
+}
+
+/**
+ * Handle search input - determines if query is a scale, chord or song
+ * @param {string} query - Search query
+ * @returns {Object} {type: 'scale'|'chord'|'songs', result: ...}
+ */
+function handleSearch(query) {
+    if (!query || query.trim().length === 0) {
+        return { type: 'empty', result: null };
+    }
+    
+    // Scale names are checked first ("A minor" is the scale, "Am" the chord)
+    const scaleResult = searchScales(query);
+    if (scaleResult && scaleResult.notes.length > 0) {
+        return { type: 'scale', result: scaleResult };
+    }
+    
+    // Then, try to parse as a chord
+    const chordResult = searchChords(query);
+    if (chordResult && chordResult.notes.length > 0) {
+        return { type: 'chord', result: chordResult };
+    }
+    
+    // Otherwise, search for songs
+    const songResults = searchSongs(query);
+    if (songResults.length > 0) {
+        return { type: 'songs', result: songResults };
+    }
+    
+    // Report an unreadable chord suffix rather than guessing
+    return { type: 'notfound', result: null, error: chordResult?.error || null };
+}
+
+// ================================
+// SEARCH UI INTEGRATION
+// ================================
+
+/**
+ * Initialize search functionality
+ */
+function initSearch() {
+    const searchInput = document.querySelector('.search-input');
+    const searchBtn = document.querySelector('.search-btn');
+    
+    if (!searchInput || !searchBtn) {
+        console.warn('Search elements not found');
+        return;
+    }
+    
+    // Handle search button click
+    searchBtn.addEventListener('click', () => {
+        performSearch(searchInput.value);
+    });
+    
+    // Handle Enter key
+    searchInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            performSearch(searchInput.value);
+        }
+    });
+    
+    // Real-time search suggestions (debounced)
+    let debounceTimer;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            showSearchSuggestions(searchInput.value);
+        }, 300);
+    });
+}
+
+/**
+ * Perform search and display results
+ * @param {string} query - Search query
+ */
+function performSearch(query) {
+    const result = handleSearch(query);
+    
+    switch (result.type) {
+        case 'scale':
+            state.currentKey = null;
+            displayScale(result.result.root, result.result.scale);
+            console.log(`Scale found: ${result.result.name}`, result.result);
+            hideSearchResults();
+            break;
+            
+        case 'chord':
+            state.currentKey = null;
+            displayChord(result.result.name);
+            console.log(`Chord found: ${result.result.name}`, result.result);
+            hideSearchResults();
+            break;
+            
+        case 'songs':
+            showSongResults(result.result);
+            break;
+            
+        case 'notfound':
+            console.log(`No results found for: ${query}`, result.error || '');
+            showNoResults(query, result.error);
+            break;
+            
+        case 'empty':
+            hideSearchResults();
             break;
     }
 }
 
 /**
- * Show search suggestions dropdown
- * @param {string} query - Current input value
+ * Show search suggestions dropdown
+ * @param {string} query - Current input value
+ */
+function showSearchSuggestions(query) {
+    if (!query || query.length < 2) {
+        hideSearchResults();
+        return;
+    }
+    
+    const result = handleSearch(query);
+    
+    // Create or get results container
+    let resultsContainer = document.querySelector('.search-results');
+    if (!resultsContainer) {
+        resultsContainer = document.createElement('div');
+        resultsContainer.className = 'search-results glass-panel';
+        document.querySelector('.search-panel')?.appendChild(resultsContainer);
+    }
+    
+    resultsContainer.innerHTML = '';
+    
+    if (result.type === 'scale') {
+        const item = document.createElement('div');
+        item.className = 'search-result-item scale-result';
+        item.innerHTML = `
+            <span class="result-icon">🎶</span>
+            <span class="result-text"><strong>${result.result.name}</strong> - ${result.result.notes.join(', ')}</span>
+        `;
+        item.addEventListener('click', () => {
+            state.currentKey = null;
+            displayScale(result.result.root, result.result.scale);
+            hideSearchResults();
+            document.querySelector('.search-input').value = result.result.name;
+        });
+        resultsContainer.appendChild(item);
+    }
+    
+    if (result.type === 'chord') {
+        const item = document.createElement('div');
+        item.className = 'search-result-item chord-result';
+        item.innerHTML = `
+            <span class="result-icon">🎸</span>
+            <span class="result-text"><strong>${result.result.name}</strong> - ${result.result.notes.join(', ')}</span>
+        `;
+        const best = getChordBoxVoicing(result.result.name);
+        if (best) {
+            item.appendChild(renderChordBox(best, { size: 'medium' }));
+        }
+        item.addEventListener('click', () => {
+            state.currentKey = null;
+            displayChord(result.result.name);
+            hideSearchResults();
+            document.querySelector('.search-input').value = result.result.name;
+        });
+        resultsContainer.appendChild(item);
+    }
+    
+    if (result.type === 'songs') {
+        result.result.slice(0, 5).forEach(song => {
+            const item = document.createElement('div');
+            item.className = 'search-result-item song-result';
+            const songKey = resolveSongKey(song);
+            item.innerHTML = `
+                <span class="result-icon">🎵</span>
+                <span class="result-text"><strong>${song.title}</strong> - ${song.artist}</span>
+                <span class="result-chords">${song.chords.map(c => spellChordName(c, songKey)).join(', ')}</span>
+            `;
+            item.addEventListener('click', () => {
+                showSongDetails(song);
+                hideSearchResults();
+            });
+            resultsContainer.appendChild(item);
+        });
+    }
+    
+    if (result.type === 'notfound') {
+        resultsContainer.innerHTML = result.error
+            ? `<div class="search-result-item no-result">${result.error}</div>`
+            : '<div class="search-result-item no-result">No results found</div>';
+    }
+    
+    resultsContainer.style.display = 'block';
+}
+
+/**
+ * Show song results with chords
+ * @param {Array} songs - Array of song objects
+ */
+function showSongResults(songs, withCapoAdvice = false) {
+    let resultsContainer = document.querySelector('.search-results');
+    if (!resultsContainer) {
+        resultsContainer = document.createElement('div');
+        resultsContainer.className = 'search-results glass-panel';
+        document.querySelector('.search-panel')?.appendChild(resultsContainer);
+    }
+    
+    resultsContainer.innerHTML = '<div class="results-header">Song Results</div>';
+    
+    songs.forEach(song => {
+        const songKey = resolveSongKey(song);
+        const detection = detectKey(song.chords);
+        const detectedLabel = detection && formatKey(detection.key) !== formatKey(parseKey(song.key))
+            ? ` <span class="song-key-detected">· detected ${formatKey(detection.key)} (${Math.round(detection.confidence * 100)}%)</span>`
+            : '';
+        const item = document.createElement('div');
+        item.className = 'search-result-item song-result';
+        item.innerHTML = `
+            <div class="song-info">
+                <strong>${song.title}</strong> - ${song.artist}
+                <div class="song-key">Key: <button class="song-key-link" title="Show the chords of this key">${song.key}</button>${detectedLabel}</div>
+            </div>
+            <div class="song-chords">${song.chords.map(c => `<span class="chord-tag">${spellChordName(c, songKey)}</span>`).join('')}</div>
+        `;
+        
+        item.querySelector('.song-key-link').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openKeyPalette(parseKey(song.key) || songKey);
+        });
+        
+        // Add click handlers for chord tags (spelled in the song's key)
+        item.querySelectorAll('.chord-tag').forEach(tag => {
+            tag.addEventListener('click', (e) => {
+                e.stopPropagation();
+                state.currentKey = songKey;
+                displayChord(tag.textContent);
+            });
+        });
+        
+        if (withCapoAdvice) {
+            item.appendChild(renderTransposeControl(songKey, transposeSong));
+            item.appendChild(renderCapoAdvice(song.chords, songKey));
+        }
+        
+        resultsContainer.appendChild(item);
+    });
+    
+    resultsContainer.style.display = 'block';
+}
+
+/**
+ * Show detailed song view
+ * @param {Object} song - Song object
+ */
+function showSongDetails(song) {
+    console.log(`Selected song: ${song.title} by ${song.artist}`);
+    console.log(`Chords: ${song.chords.join(' - ')}`);
+    
+    // Spell everything in the song's key from here on
+    state.currentSong = song;
+    state.currentKey = resolveSongKey(song);
+    
+    // Display the first chord
+    if (song.chords.length > 0) {
+        displayChord(song.chords[0]);
+    }
+    
+    // Update search input
+    document.querySelector('.search-input').value = song.title;
+    
+    showSongResults([song], true);
+}
+
+/**
+ * Show no results message
+ * @param {string} query - The search query
+ * @param {string|null} error - Parser error to show instead (e.g. an unknown chord suffix)
+ */
+function showNoResults(query, error = null) {
+    let resultsContainer = document.querySelector('.search-results');
+    if (!resultsContainer) {
+        resultsContainer = document.createElement('div');
+        resultsContainer.className = 'search-results glass-panel';
+        document.querySelector('.search-panel')?.appendChild(resultsContainer);
+    }
+    
+    resultsContainer.innerHTML = error
+        ? `<div class="search-result-item no-result">${error}</div>`
+        : `<div class="search-result-item no-result">No results found for "${query}"</div>`;
+    resultsContainer.style.display = 'block';
+}
+
+/**
+ * Hide search results dropdown
+ */
+function hideSearchResults() {
+    const resultsContainer = document.querySelector('.search-results');
+    if (resultsContainer) {
+        resultsContainer.style.display = 'none';
+    }
+}
+
+
+// ================================
+// MULTIPLE VOICING GENERATOR
+// ================================
+
+/**
+ * CAGED chord shape templates, used to name the voicings found on the fretboard
+ * Each shape can be transposed to any root note
+ */
+const CAGED_SHAPES = {
+    // E-shape (root on 6th string)
+    E: {
+        major: { strings: [0, 2, 2, 1, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
+        minor: { strings: [0, 2, 2, 0, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
+        '7': { strings: [0, 2, 0, 1, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
+        'm7': { strings: [0, 2, 0, 0, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
+        'maj7': { strings: [0, 2, 1, 1, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
+    },
+    // A-shape (root on 5th string)
+    A: {
+        major: { strings: [-1, 0, 2, 2, 2, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
+        minor: { strings: [-1, 0, 2, 2, 1, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
+        '7': { strings: [-1, 0, 2, 0, 2, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
+        'm7': { strings: [-1, 0, 2, 0, 1, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
+        'maj7': { strings: [-1, 0, 2, 1, 2, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
+    },
+    // D-shape (root on 4th string)
+    D: {
+        major: { strings: [-1, -1, 0, 2, 3, 2], rootString: 4, rootFret: 0, name: 'D-shape' },
+        minor: { strings: [-1, -1, 0, 2, 3, 1], rootString: 4, rootFret: 0, name: 'D-shape' },
+        '7': { strings: [-1, -1, 0, 2, 1, 2], rootString: 4, rootFret: 0, name: 'D-shape' },
+        'm7': { strings: [-1, -1, 0, 2, 1, 1], rootString: 4, rootFret: 0, name: 'D-shape' },
+        'maj7': { strings: [-1, -1, 0, 2, 2, 2], rootString: 4, rootFret: 0, name: 'D-shape' },
+    },
+    // C-shape (root on 5th string, higher position)
+    C: {
+        major: { strings: [-1, 3, 2, 0, 1, 0], rootString: 5, rootFret: 3, name: 'C-shape' },
+        minor: { strings: [-1, 3, 1, 0, 1, -1], rootString: 5, rootFret: 3, name: 'C-shape' },
+        '7': { strings: [-1, 3, 2, 3, 1, 0], rootString: 5, rootFret: 3, name: 'C-shape' },
+        'm7': { strings: [-1, 3, 1, 3, 1, -1], rootString: 5, rootFret: 3, name: 'C-shape' },
+        'maj7': { strings: [-1, 3, 2, 0, 0, 0], rootString: 5, rootFret: 3, name: 'C-shape' },
+    },
+    // G-shape (root on 6th string, higher position) 
+    G: {
+        major: { strings: [3, 2, 0, 0, 0, 3], rootString: 6, rootFret: 3, name: 'G-shape' },
+        minor: { strings: [3, 1, 0, 0, 3, 3], rootString: 6, rootFret: 3, name: 'G-shape' },
+        '7': { strings: [3, 2, 0, 0, 0, 1], rootString: 6, rootFret: 3, name: 'G-shape' },
+        'm7': { strings: [3, 1, 0, 0, 3, 1], rootString: 6, rootFret: 3, name: 'G-shape' },
+        'maj7': { strings: [3, 2, 0, 0, 0, 2], rootString: 6, rootFret: 3, name: 'G-shape' },
+    },
+};
+
+/**
+ * Default rules for the fretboard voicing search
+ */
+const VOICING_RULES = {
+    maxSpan: 4,        // Frets covered by the fretting hand (inclusive)
+    maxFingers: 4,     // Fretting fingers, a barre counts as one
+    minStrings: 3,     // Fewest strings a voicing may sound
+    maxInnerMutes: 1,  // Muted strings allowed between sounding strings
+    omitFifth: true,   // Allow dropping a perfect 5th from four-note and larger chords
+    minFret: 0,        // Lowest fret the fretting hand may reach down to
+    allowOpen: true,   // Let open strings ring
+    strings: null,     // String numbers the voicing may use (null = all)
+    maxStrings: null,  // Most strings a voicing may sound (null = all)
+    rootInBass: true,  // Require the root (or slash bass) as the lowest note
+    capo: 0,           // Capo fret - open strings sound here and nothing below it is fretted
+    topNote: null,     // Melody note the highest string must sound: {name, pitchClass, midi} (midi null = any octave)
+};
+
+/**
+ * Get the voicing rules for the active instrument and hand profile
+ * @returns {Object} VOICING_RULES with the instrument profile's overrides
+ */
+function getVoicingRules() {
+    const rules = { ...VOICING_RULES, ...INSTRUMENTS[state.instrument].voicingRules, capo: state.capo };
+    // The hand profile widens or narrows the instrument's span by the same number of frets
+    rules.maxSpan += state.handProfile.maxStretch - VOICING_RULES.maxSpan;
+    return rules;
+}
+
+/**
+ * Split chord intervals into the tones a voicing must contain and those it may drop
+ * The perfect 5th is optional in four-note and larger chords, the 9th and 11th under a 13th,
+ * and the 9th under an 11th.
+ * @param {Array<number>} intervals - Chord intervals in semitones
+ * @param {boolean} omitFifth - Whether the perfect 5th may be dropped
+ * @returns {Set<number>} Required pitch offsets (0-11) above the root
+ */
+function getRequiredChordTones(intervals, omitFifth = true) {
+    const optional = new Set();
+    
+    if (omitFifth && intervals.includes(7) && intervals.length >= 4) {
+        optional.add(7);
+    }
+    if (intervals.includes(21)) {
+        optional.add(14);
+        optional.add(17);
+    } else if (intervals.includes(17) && intervals.some(i => i === 10 || i === 11)) {
+        optional.add(14);
+    }
+    
+    return new Set(intervals.filter(i => !optional.has(i)).map(i => i % 12));
+}
+
+/**
+ * Count the fretting fingers a fret array needs
+ * Notes at the lowest fret can share one barre finger when no open string sits under it.
+ * @param {Array<number>} frets - Frets from the lowest string up (-1 = muted)
+ * @param {number} capo - Capo fret (strings at the capo ring open)
+ * @returns {Object} {fingers: number, barre: boolean}
+ */
+function countFingers(frets, capo = 0) {
+    const fretted = frets.filter(fret => fret > capo);
+    if (fretted.length <= VOICING_RULES.maxFingers) {
+        return { fingers: fretted.length, barre: false };
+    }
+    
+    const minFret = Math.min(...fretted);
+    const barreIndices = frets.map((fret, i) => fret === minFret ? i : -1).filter(i => i !== -1);
+    const first = barreIndices[0];
+    const last = barreIndices[barreIndices.length - 1];
+    const openUnderBarre = frets.slice(first, last + 1).some(fret => fret === capo);
+    
+    if (barreIndices.length < 2 || openUnderBarre) {
+        return { fingers: fretted.length, barre: false };
+    }
+    
+    return { fingers: 1 + fretted.filter(fret => fret > minFret).length, barre: true };
+}
+
+/**
+ * Search the fretboard for every playable voicing of a chord
+ * Each hand position (window of maxSpan frets, plus open strings) is enumerated string by
+ * string; a voicing is kept when its lowest note is the root (or slash bass), it holds every
+ * required chord tone and it fits the finger, span and muting rules.
+ * @param {Object} parsed - Result of parseChordName
+ * @param {Object} options - Search options (see VOICING_RULES), plus maxFret
+ * @returns {Array<Array<number>>} Fret arrays from the lowest string up (-1 = muted)
+ */
+function searchVoicingFrets(parsed, options = {}) {
+    const rules = { ...getVoicingRules(), maxFret: 15, ...options };
+    const rootIndex = getNoteIndex(parsed.root);
+    const bassIndex = parsed.bass ? getNoteIndex(parsed.bass) : rules.rootInBass ? rootIndex : null;
+    
+    const chordTones = new Set(parsed.intervals.map(i => (rootIndex + i) % 12));
+    const topIndex = rules.topNote ? rules.topNote.pitchClass : null;
+    const required = new Set([...getRequiredChordTones(parsed.intervals, rules.omitFifth)]
+        .map(i => (rootIndex + i) % 12));
+    if (bassIndex !== null) required.add(bassIndex);
+    
+    const stringCount = CONFIG.strings;
+    const maxStrings = rules.maxStrings || stringCount;
+    const found = new Map();
+    
+    const firstWindow = Math.max(rules.capo + 1, rules.minFret);
+    const lastWindow = Math.max(firstWindow, rules.maxFret - rules.maxSpan + 1);
+    for (let windowStart = firstWindow; windowStart <= lastWindow; windowStart++) {
+        // Candidate frets per string: muted, open (at the capo), or a chord or melody tone inside the window
+        const choices = [];
+        for (let index = 0; index < stringCount; index++) {
+            const stringNum = stringCount - index;
+            const frets = [-1];
+            if (rules.strings && !rules.strings.includes(stringNum)) {
+                choices.push(frets);
+                continue;
+            }
+            for (let fret = rules.capo; fret <= Math.min(windowStart + rules.maxSpan - 1, rules.maxFret); fret++) {
+                if (fret === rules.capo && !rules.allowOpen) continue;
+                if (fret > rules.capo && fret < windowStart) continue;
+                const noteIndex = (OPEN_STRING_NOTES[stringNum] + fret) % 12;
+                if (chordTones.has(noteIndex) || noteIndex === bassIndex || noteIndex === topIndex) {
+                    frets.push(fret);
+                }
+            }
+            choices.push(frets);
+        }
+        
+        const current = [];
+        const visit = (index, played) => {
+            if (index === stringCount) {
+                const key = current.join(',');
+                if (!found.has(key) && isPlayableVoicing(current, required, chordTones, bassIndex, rules)) {
+                    found.set(key, [...current]);
+                }
+                return;
+            }
+            for (const fret of choices[index]) {
+                if (fret >= 0 && played === maxStrings) continue;
+                current[index] = fret;
+                visit(index + 1, fret >= 0 ? played + 1 : played);
+            }
+        };
+        visit(0, 0);
+    }
+    
+    return [...found.values()];
+}
+
+/**
+ * Check one candidate fret array against the voicing rules
+ * @param {Array<number>} frets - Frets from the lowest string up (-1 = muted)
+ * @param {Set<number>} required - Pitch classes that must sound
+ * @param {Set<number>} chordTones - Pitch classes of the chord
+ * @param {number|null} bassIndex - Pitch class that must be the lowest note (null = any)
+ * @param {Object} rules - Voicing rules
+ * @returns {boolean} True when the voicing is playable and complete
+ */
+function isPlayableVoicing(frets, required, chordTones, bassIndex, rules) {
+    const stringCount = frets.length;
+    const played = frets.map((fret, index) => ({ fret, index })).filter(p => p.fret >= 0);
+    if (played.length < rules.minStrings) return false;
+    
+    // Muted strings between the lowest and highest sounding strings
+    const innerMutes = played[played.length - 1].index - played[0].index + 1 - played.length;
+    if (innerMutes > rules.maxInnerMutes) return false;
+    
+    const notes = played.map(p => {
+        const midi = getMidiAtPosition(stringCount - p.index, p.fret);
+        return { midi, pc: midi % 12 };
+    });
+    const lowest = notes.reduce((low, n) => n.midi < low.midi ? n : low);
+    if (bassIndex !== null && lowest.pc !== bassIndex) return false;
+    
+    // A slash bass outside the chord may only sound as the bass
+    if (bassIndex !== null && !chordTones.has(bassIndex) &&
+        notes.some(n => n.pc === bassIndex && n.midi !== lowest.midi)) {
+        return false;
+    }
+    
+    // A melody note is the highest voice on the highest string, and sounds only there unless it is a chord tone
+    if (rules.topNote) {
+        const top = notes[notes.length - 1];
+        if (top.pc !== rules.topNote.pitchClass || notes.some(n => n.midi > top.midi)) return false;
+        if (rules.topNote.midi !== null && top.midi !== rules.topNote.midi) return false;
+        if (!chordTones.has(top.pc) && notes.some(n => n !== top && n.pc === top.pc)) return false;
+    }
+    
+    const sounding = new Set(notes.map(n => n.pc));
+    for (const pc of required) {
+        if (!sounding.has(pc)) return false;
+    }
+    
+    return countFingers(frets, rules.capo).fingers <= rules.maxFingers;
+}
+
+/**
+ * Name a voicing by the CAGED template it matches, or by the string carrying its lowest root
+ * @param {Array<number>} frets - Frets from the lowest string up (-1 = muted)
+ * @param {string} quality - Chord quality
+ * @param {number} rootIndex - Root pitch class
+ * @returns {string} e.g. 'E-shape', 'Root 5'
+ */
+function getVoicingShapeName(frets, quality, rootIndex) {
+    // CAGED templates only describe tunings with standard string intervals
+    const tuningShift = getStandardTuningShift();
+    if (tuningShift !== null) {
+        for (const [shapeRoot, shapes] of Object.entries(CAGED_SHAPES)) {
+            const shape = shapes[quality];
+            if (!shape) continue;
+            
+            const transpose = ((rootIndex - getNoteIndex(shapeRoot) + tuningShift) % 12 + 12) % 12;
+            for (const offset of [transpose, transpose + 12]) {
+                const matches = shape.strings.every((fret, i) =>
+                    fret < 0 ? frets[i] < 0 : frets[i] === fret + offset
+                );
+                if (matches) return shape.name;
+            }
+        }
+    }
+    
+    const rootStringIndex = frets.findIndex((fret, index) =>
+        fret >= 0 && (OPEN_STRING_NOTES[CONFIG.strings - index] + fret) % 12 === rootIndex
+    );
+    return rootStringIndex === -1 ? 'Rootless' : `Root ${CONFIG.strings - rootStringIndex}`;
+}
+
+/**
+ * How idiomatic a voicing is - lower is better
+ * Favours low positions, compact shapes, full strumming voicings, familiar CAGED shapes
+ * and open strings near the nut (open strings far up the neck count against it).
+ * @param {Object} voicing - Voicing object
+ * @returns {number} Ranking cost
+ */
+function rankVoicing(voicing) {
+    const played = voicing.frets.filter(fret => fret >= 0);
+    const first = voicing.frets.findIndex(fret => fret >= 0);
+    const last = voicing.frets.length - 1 - [...voicing.frets].reverse().findIndex(fret => fret >= 0);
+    const innerMutes = last - first + 1 - played.length;
+    const capo = voicing.capo || 0;
+    const openStrings = played.filter(fret => fret === capo).length;
+    const openStringCost = voicing.baseFret - capo >= 5 ? 0.8 : -0.3;
+    
+    // Chord tones crowded together below E2 sound muddy (extended-range guitars, bass)
+    const lowNotes = voicing.positions.filter(p => getMidiAtPosition(p.string, p.fret) < 40).length;
+    const muddyNotes = Math.max(0, lowNotes - 1);
+    
+    // Open strings the hand has to arch over to reach a higher fret on a thinner string
+    let archedOpens = 0;
+    voicing.frets.forEach((fret, i) => {
+        if (fret !== capo) return;
+        const below = voicing.frets.slice(0, i).filter(f => f > capo).pop();
+        const above = voicing.frets.slice(i + 1).find(f => f > capo);
+        if (below !== undefined && above !== undefined && above - below >= 2) archedOpens++;
+    });
+    
+    return voicing.avgFret * 0.35 +
+        voicing.fretSpan * voicing.fretSpan * 0.25 +
+        innerMutes * 2.5 +
+        (Math.min(voicing.frets.length, getVoicingRules().maxStrings || Infinity) - played.length) * 1.5 +
+        voicing.fingers * 0.4 +
+        (voicing.barre ? 1 : 0) +
+        openStrings * openStringCost +
+        archedOpens * 1.5 +
+        muddyNotes * 1.5 +
+        (voicing.shapeName.endsWith('-shape') ? -1.5 : 0);
+}
+
+/**
+ * Pick the most playable voicing from a list for the player's hand profile
+ * @param {Array} voicings - Voicing objects
+ * @returns {Object|null} Best voicing or null for an empty list
+ */
+function findBestVoicing(voicings) {
+    if (!voicings || voicings.length === 0) return null;
+    const ranked = filterByHandProfile(voicings).map(v => ({ voicing: v, rank: rankVoicingForHand(v) }));
+    return ranked.reduce((best, entry) => entry.rank < best.rank ? entry : best).voicing;
+}
+
+/**
+ * Build a voicing object from a fret array
+ * @param {string} chordName - Chord name
+ * @param {Array<number>} frets - Frets from the lowest string up (-1 = muted)
+ * @param {string} shapeName - Shape label shown to the user
+ * @param {number} rootIndex - Root pitch class (marks root positions)
+ * @param {number} capo - Capo fret the voicing was found for
+ * @returns {Object} Voicing object
+ */
+function createVoicing(chordName, frets, shapeName, rootIndex, capo = 0) {
+    const positions = [];
+    frets.forEach((fret, index) => {
+        if (fret < 0) return;
+        const stringNum = CONFIG.strings - index;
+        positions.push({
+            string: stringNum,
+            fret: fret,
+            isRoot: (OPEN_STRING_NOTES[stringNum] + fret) % 12 === rootIndex
+        });
+    });
+    
+    const fretted = positions.filter(p => p.fret > capo).map(p => p.fret);
+    const minFret = fretted.length > 0 ? Math.min(...fretted) : capo;
+    const maxFretUsed = fretted.length > 0 ? Math.max(...fretted) : capo;
+    const { fingers, barre } = countFingers(frets, capo);
+    
+    return {
+        chordName,
+        shapeName,
+        positions,
+        frets,
+        baseFret: minFret,
+        avgFret: positions.reduce((sum, p) => sum + p.fret, 0) / positions.length,
+        fretSpan: maxFretUsed - minFret,
+        fingers,
+        barre,
+        capo,
+    };
+}
+
+/**
+ * Generate ALL possible voicings for a chord across the fretboard
+ * @param {string} chordName - Chord name (e.g., 'Fmaj7', 'Bb', 'Am', 'G/B', 'C7#9')
+ * @param {number} maxFret - Maximum fret to consider (default: 15)
+ * @param {Object} options - Voicing search options (see VOICING_RULES)
+ * @param {number} options.limit - Maximum number of voicings to keep (default: 40)
+ * @param {string} options.family - Key of VOICING_FAMILIES (default: 'standard')
+ * @returns {Array} Array of voicing objects with positions and metadata
+ */
+function generateAllVoicings(chordName, maxFret = 15, options = {}) {
+    const parsed = parseChordName(chordName);
+    if (!isValidChord(parsed)) return [];
+    
+    const { limit = 40, family = 'standard', ...searchOptions } = options;
+    maxFret = Math.min(maxFret, CONFIG.frets);
+    if (family !== 'standard') {
+        const { topNote, ...familyOptions } = searchOptions;
+        const voicings = generateFamilyVoicings(chordName, family, maxFret, familyOptions);
+        return topNote ? voicings.filter(v => hasTopNote(v, topNote)) : voicings;
+    }
+    
+    const { root, quality } = parsed;
+    const rootIndex = getNoteIndex(root);
+    const capo = searchOptions.capo ?? state.capo;
+    
+    // Shapes are named relative to the capo, as if it were the nut
+    const voicings = searchVoicingFrets(parsed, { ...searchOptions, maxFret }).map(frets => {
+        const shapeFrets = frets.map(fret => fret < 0 ? fret : fret - capo);
+        const shapeName = getVoicingShapeName(shapeFrets, quality, (rootIndex - capo + 12) % 12);
+        return createVoicing(chordName, frets, shapeName, rootIndex, capo);
+    });
+    
+    // Keep the most idiomatic voicings, then order them along the neck
+    voicings.sort((a, b) => rankVoicing(a) - rankVoicing(b));
+    const kept = voicings.slice(0, limit);
+    kept.sort((a, b) => a.avgFret - b.avgFret);
+    
+    return kept;
+}
+
+/**
+ * Break the "movement cost" between two voicings into its parts
+ * Lower cost = easier transition
+ * @param {Object} voicing1 - First voicing
+ * @param {Object} voicing2 - Second voicing
+ * @returns {Object} {fretMovement, spanChange, shapeBonus}
+ */
+function getMovementCostBreakdown(voicing1, voicing2) {
+    // Primary cost: difference in average fret position
+    const fretDiff = Math.abs(voicing1.avgFret - voicing2.avgFret);
+    
+    // Secondary cost: difference in fret span (prefer consistent hand positions)
+    const spanDiff = Math.abs(voicing1.fretSpan - voicing2.fretSpan);
+    
+    // Bonus: same shape type is easier
+    const shapeBonus = voicing1.shapeName === voicing2.shapeName ? -1 : 0;
+    
+    return { fretMovement: fretDiff * 2, spanChange: spanDiff * 0.5, shapeBonus };
+}
+
+/**
+ * Cost of moving between two voicings for the chosen optimizer goal, part by part
+ * Voice leading still weighs hand movement lightly so paths stay playable.
+ * @param {Object} voicing1 - First voicing
+ * @param {Object} voicing2 - Second voicing
+ * @param {string} optimizeFor - 'hand' or 'voices'
+ * @param {Object} constraints - See DEFAULT_CONSTRAINTS (sameShape adds a shape-change cost)
+ * @returns {Object} {fretMovement, spanChange, shapeBonus, voiceLeading, shapeChange, total}
+ */
+function getTransitionBreakdown(voicing1, voicing2, optimizeFor = 'hand', constraints = {}) {
+    const movement = getMovementCostBreakdown(voicing1, voicing2);
+    const weight = optimizeFor === 'voices' ? 0.25 : 1;
+    const parts = {
+        fretMovement: movement.fretMovement * weight,
+        spanChange: movement.spanChange * weight,
+        shapeBonus: movement.shapeBonus * weight,
+        voiceLeading: optimizeFor === 'voices' ? calculateVoiceLeadingCost(voicing1, voicing2) : 0,
+        shapeChange: constraints.sameShape && voicing1.shapeName !== voicing2.shapeName ? SHAPE_CHANGE_COST : 0,
+    };
+    
+    return { ...parts, total: Object.values(parts).reduce((sum, value) => sum + value, 0) };
+}
+
+/**
+ * Find optimal voicings for a chord progression to minimize hand movement
+ * @param {Array<string>} chordNames - Array of chord names
+ * @param {Object} options - Optimization options (see findProgressionPaths)
+ * @returns {Array} Array of optimized voicings
+ */
+function optimizeProgression(chordNames, options = {}) {
+    return findProgressionPaths(chordNames, options, 1)[0]?.voicings || [];
+}
+
+/**
+ * Find the cheapest voicing paths through a chord progression
+ * Each voicing keeps its `count` cheapest ways in, so the table yields the N best paths.
+ * @param {Array<string>} chordNames - Array of chord names
+ * @param {Object} options - Optimization options
+ * @param {number} options.preferredFret - Preferred fret position (default: 5)
+ * @param {number} options.fretRange - How far from preferred to search (default: 7)
+ * @param {string} options.family - Voicing family to stay in (key of VOICING_FAMILIES)
+ * @param {string} options.optimizeFor - 'hand' (position) or 'voices' (voice leading)
+ * @param {Array<Object|null>} options.pinned - Voicings locked per chord index; the path is solved around them
+ * @param {Object} options.constraints - See DEFAULT_CONSTRAINTS; hard limits are dropped for chords that cannot meet them
+ * @param {Array<Object|null>} options.melody - Melody note (see parseMelodyNote) each chord keeps on top
+ * @param {number} count - Number of paths to return
+ * @returns {Array<Object>} Paths, cheapest first: {voicings, cost, start, transitions}; start is the
+ *          first chord's cost and each transition holds getTransitionBreakdown's parts plus hold
+ *          (how awkward the next voicing is) and total
+ */
+function findProgressionPaths(chordNames, options = {}, count = 1) {
+    const {
+        preferredFret = 5, fretRange = 7, family = 'standard', optimizeFor = 'hand',
+        pinned = [], constraints = {}, melody = [],
+    } = options;
+    const limits = { ...DEFAULT_CONSTRAINTS, ...constraints };
+    
+    if (chordNames.length === 0) return [];
+    
+    // How awkward each voicing is to hold, added to every path through it
+    const hold = v => rankVoicingForHand(v) * 0.5 - (limits.preferOpen ? countOpenStrings(v) : 0);
+    
+    // Positions are measured from the capo, which acts as the nut
+    const capo = state.capo;
+    const anchorFret = preferredFret + capo;
+    
+    // Voicings within the fret limits that meet the constraints and suit the player
+    // (melody notes may sit anywhere up the neck)
+    const range = limits.minFret !== null ? { minFret: limits.minFret } : {};
+    const maxFret = limits.maxFret ?? (melody.some(Boolean) ? CONFIG.frets : 15 + capo);
+    const generate = (i, searchOptions) => filterByHandProfile(applyVoicingConstraints(
+        generateAllVoicings(chordNames[i], maxFret, { ...range, topNote: melody[i] || null, ...searchOptions }), limits
+    ));
+    
+    // Generate all voicings for each chord (pinned chords keep their voicing)
+    const allVoicings = chordNames.map((chord, i) => {
+        if (pinned[i]) return [pinned[i]];
+        const voicings = generate(i, { family });
+        // Filter to preferred fret range
+        return voicings.filter(v => 
+            v.avgFret >= anchorFret - fretRange && 
+            v.avgFret <= anchorFret + fretRange
+        );
+    });
+    
+    // If any chord has no voicings in range, expand search
+    // (and leave the family for chords it cannot voice, e.g. shells of a power chord)
+    for (let i = 0; i < allVoicings.length; i++) {
+        if (allVoicings[i].length === 0) {
+            allVoicings[i] = generate(i, { family });
+        }
+        if (allVoicings[i].length === 0) {
+            allVoicings[i] = generate(i, {});
+        }
+        if (allVoicings[i].length === 0) {
+            console.warn(`No voicing of ${chordNames[i]} meets the constraints - ignoring them`);
+            allVoicings[i] = filterByHandProfile(
+                generateAllVoicings(chordNames[i], melody[i] ? CONFIG.frets : 15, { topNote: melody[i] || null })
+            );
+        }
+        if (allVoicings[i].length === 0 && melody[i]) {
+            console.warn(`No voicing of ${chordNames[i]} has ${melody[i].name} on top - ignoring the melody note`);
+            allVoicings[i] = filterByHandProfile(generateAllVoicings(chordNames[i]));
+        }
+    }
+    
+    const n = chordNames.length;
+    const startCost = v => Math.abs(v.avgFret - anchorFret) + hold(v);
+    
+    if (n === 1) {
+        // Single chord - pick the ones closest to preferred fret
+        return [...allVoicings[0]]
+            .sort((a, b) => Math.abs(a.avgFret - anchorFret) - Math.abs(b.avgFret - anchorFret))
+            .slice(0, count)
+            .map(v => ({ voicings: [v], cost: startCost(v), start: startCost(v), transitions: [] }));
+    }
+    
+    // Use dynamic programming: each voicing keeps its cheapest ways in, linked back through prev
+    let layer = allVoicings[0].map(v => [{ voicing: v, cost: startCost(v), prev: null }]);
+    
+    for (let i = 1; i < n; i++) {
+        const previousLayer = layer;
+        layer = allVoicings[i].map(voicing => {
+            const holdCost = hold(voicing);
+            const entries = [];
+            allVoicings[i - 1].forEach((previous, k) => {
+                const stepCost = getTransitionBreakdown(previous, voicing, optimizeFor, limits).total + holdCost;
+                previousLayer[k].forEach(entry => {
+                    entries.push({ voicing, cost: entry.cost + stepCost, prev: entry });
+                });
+            });
+            return entries.sort((a, b) => a.cost - b.cost).slice(0, count);
+        });
+    }
+    
+    // Backtrack from the cheapest endings
+    return layer.flat()
+        .sort((a, b) => a.cost - b.cost)
+        .slice(0, count)
+        .map(end => {
+            const voicings = [];
+            for (let entry = end; entry; entry = entry.prev) {
+                voicings.unshift(entry.voicing);
+            }
+            
+            const transitions = voicings.slice(1).map((voicing, i) => {
+                const breakdown = getTransitionBreakdown(voicings[i], voicing, optimizeFor, limits);
+                const holdCost = hold(voicing);
+                return { from: voicings[i], to: voicing, ...breakdown, hold: holdCost, total: breakdown.total + holdCost };
+            });
+            
+            return { voicings, cost: end.cost, start: startCost(voicings[0]), transitions };
+        });
+}
+
+// ================================
+// PLAYABILITY & HAND PROFILE
+// ================================
+
+/**
+ * Player levels: the hardest voicing each is offered and how strongly
+ * difficulty counts against a voicing when ranking and optimizing
+ */
+const HAND_LEVELS = {
+    beginner: { label: 'Beginner', maxDifficulty: 4, weight: 0.5 },
+    intermediate: { label: 'Intermediate', maxDifficulty: 7, weight: 0.2 },
+    advanced: { label: 'Advanced', maxDifficulty: 10, weight: 0 },
+};
+
+/**
+ * Comfortable stretches offered in the profile (frets covered, inclusive)
+ */
+const HAND_STRETCHES = [3, 4, 5, 6];
+
+/**
+ * Score how hard a voicing is to hold, from 0 (trivial) to 10 (unplayable)
+ * Weighs stretch (wider near the nut), barres, fingers used, muted inner strings
+ * and awkward positions (above the 12th fret, or barred in the first frets).
+ * @param {Object} voicing - Voicing object
+ * @returns {Object} {score, label, factors: {stretch, barre, fingers, mutes, position}, problems}
+ */
+function scoreVoicingDifficulty(voicing) {
+    const capo = voicing.capo || 0;
+    const fingering = assignFingering(voicing.frets, capo);
+    const first = voicing.frets.findIndex(fret => fret >= 0);
+    const last = voicing.frets.length - 1 - [...voicing.frets].reverse().findIndex(fret => fret >= 0);
+    const innerMutes = voicing.frets.slice(first, last + 1).filter(fret => fret < 0).length;
+    const position = voicing.baseFret - capo;
+    const fretWidth = position <= 3 ? 1.2 : position >= 9 ? 0.8 : 1;
+    
+    const factors = {
+        stretch: Math.max(0, voicing.fretSpan - 1) * 1.2 * fretWidth,
+        barre: fingering.barres.reduce((sum, barre) => sum + (barre.to - barre.from >= 4 ? 2.5 : 1.5), 0),
+        fingers: Math.max(0, new Set(fingering.fingers.filter(finger => finger !== null)).size - 2) * 0.75,
+        mutes: innerMutes * 1.2,
+        position: position >= 12 || (fingering.barres.length > 0 && position <= 2) ? 1 : 0,
+    };
+    
+    const total = Object.values(factors).reduce((sum, value) => sum + value, 0);
+    const score = fingering.playable ? Math.min(10, Math.round(total * 10) / 10) : 10;
+    
+    return { score, label: getDifficultyLabel(score), factors, problems: fingering.problems };
+}
+
+/**
+ * Describe a difficulty score in words
+ * @param {number} score - Difficulty from 0 to 10
+ * @returns {string} 'Easy', 'Moderate' or 'Hard'
+ */
+function getDifficultyLabel(score) {
+    if (score <= 3) return 'Easy';
+    if (score <= 6) return 'Moderate';
+    return 'Hard';
+}
+
+/**
+ * Spell out what makes a voicing hard, for tooltips
+ * @param {Object} difficulty - Result of scoreVoicingDifficulty
+ * @returns {string} e.g. "Difficulty 5.1/10 - stretch 2.4, barre 2.5"
+ */
+function describeDifficulty(difficulty) {
+    const parts = Object.entries(difficulty.factors)
+        .filter(([, value]) => value > 0)
+        .map(([factor, value]) => `${factor} ${Math.round(value * 10) / 10}`);
+    return `Difficulty ${difficulty.score}/10` +
+        (parts.length > 0 ? ` - ${parts.join(', ')}` : '') +
+        (difficulty.problems.length > 0 ? ` - ${difficulty.problems.join(', ')}` : '');
+}
+
+/**
+ * Check whether a voicing suits the player's stretch and level
+ * @param {Object} voicing - Voicing object
+ * @returns {boolean} True when the voicing is within the hand profile
+ */
+function fitsHandProfile(voicing) {
+    const { level } = state.handProfile;
+    return voicing.fretSpan < getVoicingRules().maxSpan &&
+        scoreVoicingDifficulty(voicing).score <= HAND_LEVELS[level].maxDifficulty;
+}
+
+/**
+ * Keep the voicings that suit the hand profile (all of them when none do)
+ * @param {Array} voicings - Voicing objects
+ * @returns {Array} Voicings within the profile
+ */
+function filterByHandProfile(voicings) {
+    const fitting = voicings.filter(fitsHandProfile);
+    return fitting.length > 0 ? fitting : voicings;
+}
+
+/**
+ * Rank a voicing for the player - rankVoicing plus difficulty weighted by level
+ * @param {Object} voicing - Voicing object
+ * @returns {number} Ranking cost (lower is better)
+ */
+function rankVoicingForHand(voicing) {
+    const { weight } = HAND_LEVELS[state.handProfile.level];
+    return rankVoicing(voicing) + (weight > 0 ? scoreVoicingDifficulty(voicing).score * weight : 0);
+}
+
+/**
+ * Update the hand profile and re-pick the voicings on show
+ * @param {Object} changes - {maxStretch, level}
+ */
+function setHandProfile(changes) {
+    const profile = { ...state.handProfile, ...changes };
+    profile.maxStretch = Number(profile.maxStretch);
+    if (!HAND_LEVELS[profile.level] || !HAND_STRETCHES.includes(profile.maxStretch)) return;
+    
+    state.handProfile = profile;
+    updateHandProfileControls();
+    redrawFretboardContent();
+    console.log(`Hand profile: ${HAND_LEVELS[profile.level].label}, ${profile.maxStretch}-fret stretch`);
+}
+
+/**
+ * Build the level and stretch selectors in the control panel
+ */
+function initHandProfileControls() {
+    const controls = document.querySelector('.controls');
+    if (!controls) return;
+    
+    const container = document.createElement('div');
+    container.className = 'tuning-control hand-profile';
+    container.innerHTML = `
+        <label class="tuning-label" for="level-select">Level</label>
+        <select class="voicing-filter" id="level-select">
+            ${Object.entries(HAND_LEVELS).map(([key, level]) =>
+                `<option value="${key}">${level.label}</option>`
+            ).join('')}
+        </select>
+        <label class="tuning-label" for="stretch-select">Stretch</label>
+        <select class="voicing-filter" id="stretch-select" title="Frets your hand covers comfortably">
+            ${HAND_STRETCHES.map(frets => `<option value="${frets}">${frets} frets</option>`).join('')}
+        </select>
+    `;
+    controls.appendChild(container);
+    
+    container.querySelector('#level-select').addEventListener('change', (e) => {
+        setHandProfile({ level: e.target.value });
+    });
+    container.querySelector('#stretch-select').addEventListener('change', (e) => {
+        setHandProfile({ maxStretch: e.target.value });
+    });
+    
+    updateHandProfileControls();
+}
+
+/**
+ * Sync the level and stretch selectors with the hand profile
+ */
+function updateHandProfileControls() {
+    const levelSelect = document.getElementById('level-select');
+    const stretchSelect = document.getElementById('stretch-select');
+    if (levelSelect) levelSelect.value = state.handProfile.level;
+    if (stretchSelect) stretchSelect.value = String(state.handProfile.maxStretch);
+}
+
+// ================================
+// VOICING FAMILIES
+// ================================
+
+/**
+ * Structured voicing families
+ * stack: how the chord tones are stacked; strings: string sets, lowest string first
+ */
+const VOICING_FAMILIES = {
+    standard: { label: 'All voicings' },
+    drop2: { label: 'Drop 2', stack: 'drop2', strings: [[4, 3, 2, 1], [5, 4, 3, 2]] },
+    drop3: { label: 'Drop 3', stack: 'drop3', strings: [[6, 4, 3, 2]] },
+    shell: { label: 'Shells (3 & 7)', stack: 'shell', strings: [[6, 5, 4], [6, 4, 3], [5, 4, 3], [5, 3, 2]] },
+    triad: { label: 'Close triads', stack: 'triad', strings: [[6, 5, 4], [5, 4, 3], [4, 3, 2], [3, 2, 1]] },
+};
+
+/**
+ * Pick the chord tones a family voices
+ * Four-note families keep the 3rd and 7th, then the highest extension, the root and the 5th,
+ * doubling a tone when the chord is a triad.
+ * @param {Array<number>} intervals - Chord intervals in semitones
+ * @param {string} stack - Family stack type
+ * @returns {Array<number>} Pitch offsets (0-11) above the root, or [] when the family does not apply
+ */
+function getFamilyChordTones(intervals, stack) {
+    const pitchClasses = [...new Set(intervals.map(i => i % 12))];
+    const third = pitchClasses.find(pc => pc === 3 || pc === 4) ??
+        pitchClasses.find(pc => pc === 2 || pc === 5);
+    const fifth = pitchClasses.find(pc => pc === 7) ?? pitchClasses.find(pc => pc === 6 || pc === 8);
+    const seventh = pitchClasses.find(pc => pc === 10 || pc === 11) ??
+        (intervals.includes(9) ? 9 : undefined);
+    const extensions = intervals.filter(i => i >= 12).sort((a, b) => b - a).map(i => i % 12);
+    
+    if (stack === 'triad') {
+        return third !== undefined && fifth !== undefined ? [0, third, fifth] : [];
+    }
+    if (stack === 'shell') {
+        return third !== undefined && seventh !== undefined ? [0, third, seventh] : [];
+    }
+    
+    const priority = [third, seventh, extensions[0], 0, fifth, ...extensions.slice(1)];
+    return [...new Set(priority.filter(pc => pc !== undefined))].slice(0, 4);
+}
+
+/**
+ * Stack chord tones into every voicing a family allows
+ * @param {Array<number>} tones - Chord tones from getFamilyChordTones
+ * @param {string} stack - Family stack type
+ * @returns {Array<Array<number>>} Voices as semitones above the root, lowest first
+ */
+function buildFamilyStacks(tones, stack) {
+    // Each voice sits on the next instance of its pitch class above the one below
+    const stackUpwards = (pitchClasses) => pitchClasses.reduce((voices, pc) => {
+        if (voices.length === 0) return [pc];
+        const below = voices[voices.length - 1];
+        return [...voices, below + ((pc - below) % 12 + 12) % 12 || below + 12];
+    }, []);
+    
+    if (stack === 'shell') {
+        const [root, third, seventh] = tones;
+        return [stackUpwards([root, third, seventh]), stackUpwards([root, seventh, third])];
+    }
+    
+    const cycle = [...tones].sort((a, b) => a - b);
+    const voiceCount = stack === 'triad' ? 3 : 4;
+    
+    return cycle.map((_, inversion) => {
+        const close = stackUpwards(Array.from({ length: voiceCount }, (_, i) => cycle[(inversion + i) % cycle.length]));
+        if (stack === 'triad') return close;
+        
+        // Drop the 2nd (or 3rd) voice from the top down an octave
+        const dropped = voiceCount - (stack === 'drop2' ? 2 : 3);
+        return close.map((voice, i) => i === dropped ? voice - 12 : voice).sort((a, b) => a - b);
+    });
+}
+
+/**
+ * Describe which chord tone is in the bass
+ * @param {number} bassInterval - Bass pitch offset (0-11) above the root
+ * @param {Array<number>} intervals - Chord intervals in semitones
+ * @returns {string} e.g. 'Root position', '2nd inversion', '9 in bass'
+ */
+function getInversionLabel(bassInterval, intervals) {
+    const degree = getChordDegreeLabels(intervals)[bassInterval];
+    switch (getDegreeFamily(degree)) {
+        case 'root': return 'Root position';
+        case 'third': return '1st inversion';
+        case 'fifth': return '2nd inversion';
+        case 'seventh': return '3rd inversion';
+        default: return `${degree} in bass`;
+    }
+}
+
+/**
+ * Place a stack of voices on a string set everywhere it fits on the neck
+ * @param {Array<number>} voices - Semitones above the root, lowest first
+ * @param {number} rootIndex - Root pitch class
+ * @param {Array<number>} strings - String numbers, lowest string first
+ * @param {Object} rules - Voicing rules (maxSpan, minFret, maxFret, allowOpen, capo)
+ * @returns {Array<Array<number>>} Fret arrays from the lowest string up (-1 = muted)
+ */
+function placeVoicesOnStrings(voices, rootIndex, strings, rules) {
+    const placements = [];
+    const bassPitchClass = ((rootIndex + voices[0]) % 12 + 12) % 12;
+    
+    for (let bassFret = rules.capo; bassFret <= rules.maxFret; bassFret++) {
+        const bassMidi = getMidiAtPosition(strings[0], bassFret);
+        if (bassMidi % 12 !== bassPitchClass) continue;
+        
+        const frets = new Array(CONFIG.strings).fill(-1);
+        const fits = voices.every((voice, i) => {
+            const fret = bassMidi + voice - voices[0] - getMidiAtPosition(strings[i], 0);
+            if (fret < rules.capo || fret > rules.maxFret || (fret === rules.capo && !rules.allowOpen)) return false;
+            frets[CONFIG.strings - strings[i]] = fret;
+            return true;
+        });
+        if (!fits) continue;
+        
+        const fretted = frets.filter(fret => fret > rules.capo);
+        if (fretted.length > 0 &&
+            (Math.max(...fretted) - Math.min(...fretted) >= rules.maxSpan || Math.min(...fretted) < rules.minFret)) {
+            continue;
+        }
+        placements.push(frets);
+    }
+    
+    return placements;
+}
+
+/**
+ * Generate the voicings of a chord in one family, labelled with their inversion
+ * @param {string} chordName - Chord name
+ * @param {string} familyKey - Key of VOICING_FAMILIES
+ * @param {number} maxFret - Highest fret to use
+ * @param {Object} options - Voicing rules to override (see VOICING_RULES)
+ * @returns {Array} Voicing objects ordered along the neck, each with an inversion label
+ */
+function generateFamilyVoicings(chordName, familyKey, maxFret = 15, options = {}) {
+    const parsed = parseChordName(chordName);
+    const family = VOICING_FAMILIES[familyKey];
+    if (!isValidChord(parsed) || !family?.stack) return [];
+    
+    const rules = { ...getVoicingRules(), ...options, maxFret };
+    const rootIndex = getNoteIndex(parsed.root);
+    const tones = getFamilyChordTones(parsed.intervals, family.stack);
+    if (tones.length === 0) return [];
+    
+    const bassInterval = parsed.bass ? (getNoteIndex(parsed.bass) - rootIndex + 12) % 12 : null;
+    const voicings = [];
+    
+    buildFamilyStacks(tones, family.stack).forEach(voices => {
+        const bass = ((voices[0] % 12) + 12) % 12;
+        if (bassInterval !== null && bass !== bassInterval) return;
+        
+        family.strings.forEach(strings => {
+            if (!isStringSetAvailable(strings)) return;
+            if (rules.strings && !strings.every(s => rules.strings.includes(s))) return;
+            
+            const shapeName = `${family.label} · strings ${strings[0]}–${strings[strings.length - 1]}`;
+            placeVoicesOnStrings(voices, rootIndex, strings, rules).forEach(frets => {
+                const voicing = createVoicing(chordName, frets, shapeName, rootIndex, rules.capo);
+                voicing.family = familyKey;
+                voicing.inversion = getInversionLabel(bass, parsed.intervals);
+                voicings.push(voicing);
+            });
+        });
+    });
+    
+    voicings.sort((a, b) => a.avgFret - b.avgFret);
+    
+    return voicings;
+}
+
+// ================================
+// PROGRESSION PARSING & MANAGEMENT
+// ================================
+
+/**
+ * Check if input is a chord progression (multiple chords)
+ * @param {string} input - User input
+ * @returns {boolean} True if progression detected
+ */
+function isProgression(input) {
+    if (!input) return false;
+    // Detect comma, dash, or multiple spaces as separators
+    return /[,\-]/.test(input) || input.trim().split(/\s+/).length > 1;
+}
+
+/**
+ * Parse a progression string into chord names
+ * @param {string} input - e.g., "Fmaj7, Bb, Am, Dm7" or "Fmaj7 - Bb - Am - Dm7"
+ * @returns {Array<string>} Array of chord names
+ */
+function parseProgression(input) {
+    if (!input) return [];
+    
+    // Split by comma, dash, or multiple spaces
+    const parts = input.split(/[,\-]+|\s{2,}/).map(s => s.trim()).filter(Boolean);
+    
+    // If no separators found, try splitting by single spaces (but validate each as chord)
+    if (parts.length === 1) {
+        const spaceParts = input.trim().split(/\s+/);
+        if (spaceParts.length > 1 && spaceParts.every(p => isValidChord(parseChordName(p)))) {
+            return spaceParts;
+        }
+    }
+    
+    // Validate each part is a valid chord
+    return parts.filter(p => isValidChord(parseChordName(p)));
+}
+
+/**
+ * Load a chord progression and optimize voicings
+ * @param {Array<string>} chords - Array of chord names
+ * @param {Object} options - Optimization options
+ * @param {string|Object} options.key - Key of the progression, used to spell chord names
+ */
+function loadProgression(chords, options = {}) {
+    if (!chords || chords.length === 0) return;
+    
+    closeVoicingBrowser();
+    
+    // Optimize the progression (pins and melody belong to the previous one)
+    state.progression.pinned = [];
+    state.progression.melody = options.melody || [];
+    const optimizedVoicings = solveProgressionPaths(chords, options);
+    
+    // Update state
+    state.currentKey = typeof options.key === 'string' ? parseKey(options.key) : options.key || detectKey(chords)?.key || null;
+    state.progression.chords = chords;
+    state.progression.voicings = optimizedVoicings;
+    state.progression.currentIndex = 0;
+    state.progression.isPlaying = false;
+    
+    // Display progression UI
+    renderProgressionBar();
+    
+    // Show first chord, with its scale and voice-leading layers
+    if (optimizedVoicings.length > 0) {
+        goToChord(0);
+    }
+    
+    console.log('Progression loaded:', chords);
+    console.log('Optimized voicings:', optimizedVoicings.map(v => 
+        `${v.chordName} @ fret ${v.baseFret} (${v.shapeName})`
+    ));
+}
+
+/**
+ * Add a chord to the end of the progression, loading a new one if none is loaded
+ * Unreadable chord names are refused so they cannot leave the optimizer without a path.
+ * @param {string} chordName - Chord name
+ * @param {Object|null} key - Key to spell a new progression in
+ * @returns {boolean} True if the chord was added
+ */
+function appendToProgression(chordName, key = null) {
+    const parsed = parseChordName(chordName);
+    if (!isValidChord(parsed)) {
+        console.warn(`Could not parse chord: ${chordName}`, parsed?.error || '');
+        return false;
+    }
+    
+    if (state.progression.chords.length === 0) {
+        loadProgression([chordName], { key });
+        return true;
+    }
+    
+    state.progression.chords = [...state.progression.chords, chordName];
+    refreshProgressionVoicings();
+    return true;
+}
+
+/**
+ * Display a specific voicing on the fretboard
+ * @param {Object} voicing - Voicing object with positions
+ */
+function displayVoicing(voicing) {
+    if (!voicing || !voicing.positions) return;
+    
+    closeVoicingBrowser();
+    state.currentChord = voicing.chordName;
+    state.currentScale = null;
+    highlightChord(voicing.positions);
+}
+
+/**
+ * Navigate to a specific chord in the progression
+ * @param {number} index - Chord index
+ */
+function goToChord(index) {
+    const { voicings } = state.progression;
+    if (index < 0 || index >= voicings.length) return;
+    
+    const previousIndex = state.progression.currentIndex;
+    state.progression.currentIndex = index;
+    displayVoicing(voicings[index]);
+    updateScaleOverlay();
+    updateVoiceLeading(previousIndex === index ? null : voicings[previousIndex], voicings[index]);
+    updateProgressionUI();
+    updateReharmPanel();
+}
+
+/**
+ * Go to next chord in progression
+ */
+function nextChord() {
+    const { currentIndex, voicings, loopEnabled } = state.progression;
+    let nextIndex = currentIndex + 1;
+    
+    if (nextIndex >= voicings.length) {
+        nextIndex = loopEnabled ? 0 : voicings.length - 1;
+    }
+    
+    goToChord(nextIndex);
+}
+
+/**
+ * Go to previous chord in progression
+ */
+function prevChord() {
+    const { currentIndex, voicings, loopEnabled } = state.progression;
+    let prevIndex = currentIndex - 1;
+    
+    if (prevIndex < 0) {
+        prevIndex = loopEnabled ? voicings.length - 1 : 0;
+    }
+    
+    goToChord(prevIndex);
+}
+
+// ================================
+// ROMAN NUMERAL & NASHVILLE INPUT
+// ================================
+
+/**
+ * Scale degrees (semitones above the tonic) for numerals 1-7 in each mode
+ * Accidentals (bVII, #IV) always alter the major-scale degree.
+ */
+const NUMERAL_DEGREES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+};
+
+/**
+ * Roman numerals in scale-degree order
+ */
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+/**
+ * Roman numeral token: accidental, numeral, quality, extension, figured-bass
+ * inversion and an optional /target (secondary chord) or /3, /5, /7 (chord-tone bass)
+ */
+const ROMAN_TOKEN = /^([b#]?)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)(°|o|dim|ø|\+|aug)?(6\/9|maj7|M7|7|9|11|13|sus4|sus2|sus|add9|5)?(65|64|43|42|6|2)?(?:\/(.+))?$/;
+
+/**
+ * Nashville number token: accidental, number, quality, extension and an
+ * optional /bass given as a scale degree of the key
+ */
+const NASHVILLE_TOKEN = /^([b#]?)([1-7])(-|m(?!aj)|°|o|dim|ø|\+|aug)?(6\/9|maj7|M7|Δ7?|7|9|11|13|sus4|sus2|sus|add9|5)?(?:\/([b#]?[1-7]))?$/;
+
+/**
+ * Key clause at the end ("... in G", "... in the key of Em") or start ("G: ...")
+ */
+const NUMERAL_KEY_SUFFIX = /^(.+?)\s+(?:in(?:\s+the)?(?:\s+key\s+of)?|key\s+of)\s+([A-G][#b]?(?:\s*(?:major|minor|maj|min|m))?)\s*$/i;
+const NUMERAL_KEY_PREFIX = /^([A-G][#b]?(?:\s*(?:major|minor|maj|min|m))?)\s*:\s*(.+)$/i;
+
+/**
+ * Chord-tone bass for each figured-bass inversion symbol
+ */
+const FIGURE_BASS = { '6': 'third', '65': 'third', '64': 'fifth', '43': 'fifth', '42': 'seventh', '2': 'seventh' };
+
+/**
+ * Split numeral input into tokens ("I-V-vi-IV", "1 5 6- 4", "ii7 | V7 | I")
+ * Hyphens only separate Roman numerals: in Nashville numbers they mark minor (2-7).
+ * @param {string} body - Progression without its key clause
+ * @returns {string[]} Tokens
+ */
+function tokenizeNumerals(body) {
+    return body.split(/[\s,|–—]+/)
+        .flatMap(token => token.split(/-(?=[#b]?[IViv])/))
+        .filter(token => token && token !== '-');
+}
+
+/**
+ * Get the semitone degree of a numeral in a key
+ * @param {string} accidental - '', 'b' or '#'
+ * @param {number} number - Scale degree 1-7
+ * @param {string} mode - 'major' or 'minor'
+ * @param {boolean} leadingTone - Diminished vii in minor sits on the raised 7th
+ * @returns {number} Semitones above the tonic
+ */
+function getNumeralDegree(accidental, number, mode, leadingTone = false) {
+    if (accidental) {
+        return (NUMERAL_DEGREES.major[number - 1] + (accidental === 'b' ? 11 : 1)) % 12;
+    }
+    if (mode === 'minor' && number === 7 && leadingTone) return 11;
+    return NUMERAL_DEGREES[mode][number - 1];
+}
+
+/**
+ * Build a chord suffix from a numeral's triad quality and extension
+ * @param {string} triad - 'major', 'minor', 'diminished', 'halfDiminished' or 'augmented'
+ * @param {string} extension - '', '7', 'maj7', '6/9', '9', '11', '13', 'sus4', 'sus2', 'add9' or '5'
+ * @returns {string} Chord suffix, e.g. 'm7', 'dim7', 'm7b5'
+ */
+function buildNumeralSuffix(triad, extension) {
+    if (extension === '5') return '5';
+    if (extension.startsWith('sus')) return extension === 'sus' ? 'sus4' : extension;
+    if (triad === 'halfDiminished') return 'm7b5';
+    
+    const base = { major: '', minor: 'm', diminished: 'dim', augmented: 'aug' }[triad];
+    if (!extension) return base;
+    if (extension === 'maj7') return triad === 'minor' ? 'mMaj7' : 'maj7';
+    if (extension === 'add9') return triad === 'minor' ? 'madd9' : 'add9';
+    if (triad === 'diminished') return 'dim7';
+    return base + extension;
+}
+
+/**
+ * Read a numeral's triad quality from its case and quality symbol
+ * @param {boolean} isMinor - Lower-case numeral or Nashville minor mark
+ * @param {string} quality - Quality symbol ('°', 'ø', '+', ...)
+ * @returns {string} Triad quality for buildNumeralSuffix
+ */
+function getNumeralTriad(isMinor, quality = '') {
+    if (['°', 'o', 'dim'].includes(quality)) return 'diminished';
+    if (quality === 'ø') return 'halfDiminished';
+    if (['+', 'aug'].includes(quality)) return 'augmented';
+    return isMinor ? 'minor' : 'major';
+}
+
+/**
+ * Name the chord with a root and suffix, over an optional bass note
+ * @param {number} rootIndex - Root pitch class
+ * @param {string} suffix - Chord suffix
+ * @param {Object} key - Key used for spelling
+ * @param {Function} getBassIndex - Given the parsed chord, returns the bass pitch class or null
+ * @returns {string|null} Chord name, or null if the chord cannot be parsed
+ */
+function nameNumeralChord(rootIndex, suffix, key, getBassIndex = () => null) {
+    const chordName = spellNoteInKey(rootIndex, key) + suffix;
+    const parsed = parseChordName(chordName);
+    if (!isValidChord(parsed)) return null;
+    
+    const bassIndex = getBassIndex(parsed);
+    if (bassIndex === null || bassIndex === rootIndex) return chordName;
+    return `${chordName}/${spellNoteInKey(bassIndex, key)}`;
+}
+
+/**
+ * Find a chord tone's pitch class (third, fifth or seventh)
+ * @param {number} rootIndex - Root pitch class
+ * @param {number[]} intervals - Chord intervals
+ * @param {string} tone - 'third', 'fifth' or 'seventh'
+ * @returns {number|null} Pitch class, or null if the chord lacks that tone
+ */
+function getChordTone(rootIndex, intervals, tone) {
+    const candidates = { third: [3, 4], fifth: [7, 6, 8], seventh: [10, 11, 9] }[tone];
+    const interval = candidates.find(semitones => intervals.includes(semitones));
+    return interval === undefined ? null : (rootIndex + interval) % 12;
+}
+
+/**
+ * Resolve a Roman numeral token in a key
+ * @param {string} token - e.g. 'V7/ii', 'bVII', 'I6', 'V/3', 'viiø7'
+ * @param {Object} key - {tonic, mode}
+ * @returns {string|null} Chord name, or null if the token is not a Roman numeral
+ */
+function resolveRomanNumeral(token, key) {
+    const match = ROMAN_TOKEN.exec(token);
+    if (!match) return null;
+    
+    const [, accidental, numeral, quality = '', rawExtension = '', figure = '', slash] = match;
+    const number = ROMAN_NUMERALS.indexOf(numeral.toUpperCase()) + 1;
+    const triad = getNumeralTriad(numeral === numeral.toLowerCase(), quality);
+    const extension = rawExtension === 'M7' ? 'maj7' : rawExtension || (figure && !['6', '64'].includes(figure) ? '7' : '');
+    const tonicIndex = getNoteIndex(key.tonic);
+    
+    // Secondary chords are built on a major key a target degree above the tonic
+    let rootIndex;
+    let bassTone = FIGURE_BASS[figure] || null;
+    if (slash && /^[357]$/.test(slash)) {
+        bassTone = { '3': 'third', '5': 'fifth', '7': 'seventh' }[slash];
+        rootIndex = (tonicIndex + getNumeralDegree(accidental, number, key.mode, triad === 'diminished')) % 12;
+    } else if (slash) {
+        const target = ROMAN_TOKEN.exec(slash);
+        if (!target || target[3] || target[4] || target[5] || target[6]) return null;
+        const targetNumber = ROMAN_NUMERALS.indexOf(target[2].toUpperCase()) + 1;
+        const targetIndex = tonicIndex + getNumeralDegree(target[1], targetNumber, key.mode);
+        rootIndex = (targetIndex + getNumeralDegree(accidental, number, 'major')) % 12;
+    } else {
+        rootIndex = (tonicIndex + getNumeralDegree(accidental, number, key.mode, triad === 'diminished')) % 12;
+    }
+    
+    return nameNumeralChord(rootIndex, buildNumeralSuffix(triad, extension), key, parsed =>
+        bassTone ? getChordTone(rootIndex, parsed.intervals, bassTone) : null
+    );
+}
+
+/**
+ * Resolve a Nashville number token in a key
+ * @param {string} token - e.g. '6-', '5/7', '2-7', 'b7'
+ * @param {Object} key - {tonic, mode}
+ * @returns {string|null} Chord name, or null if the token is not a Nashville number
+ */
+function resolveNashvilleNumber(token, key) {
+    const match = NASHVILLE_TOKEN.exec(token);
+    if (!match) return null;
+    
+    const [, accidental, number, quality = '', rawExtension = '', bass] = match;
+    const triad = getNumeralTriad(quality === '-' || quality === 'm', quality);
+    const extension = ['M7', 'Δ', 'Δ7'].includes(rawExtension) ? 'maj7' : rawExtension;
+    const tonicIndex = getNoteIndex(key.tonic);
+    const rootIndex = (tonicIndex + getNumeralDegree(accidental, Number(number), key.mode)) % 12;
+    
+    return nameNumeralChord(rootIndex, buildNumeralSuffix(triad, extension), key, () => {
+        if (!bass) return null;
+        const [, bassAccidental, bassNumber] = /^([b#]?)([1-7])$/.exec(bass);
+        return (tonicIndex + getNumeralDegree(bassAccidental, Number(bassNumber), key.mode)) % 12;
+    });
+}
+
+/**
+ * Parse a progression written in Roman numerals or Nashville numbers with a key
+ * @param {string} input - e.g. "I - V - vi - IV in G", "1 5 6- 4 in D", "Am: i iv V7 i"
+ * @returns {Object|null} {chords, key, numerals}, {error} when the numerals need a key
+ *          or a token cannot be read, or null when the input is not numeral notation
+ */
+function parseNumeralProgression(input) {
+    if (!input) return null;
+    
+    const trimmed = input.trim();
+    const suffixMatch = NUMERAL_KEY_SUFFIX.exec(trimmed);
+    const prefixMatch = suffixMatch ? null : NUMERAL_KEY_PREFIX.exec(trimmed);
+    const body = suffixMatch ? suffixMatch[1] : prefixMatch ? prefixMatch[2] : trimmed;
+    const keyName = suffixMatch ? suffixMatch[2] : prefixMatch ? prefixMatch[1] : null;
+    
+    const numerals = tokenizeNumerals(body);
+    const isNumeral = token => ROMAN_TOKEN.test(token) || NASHVILLE_TOKEN.test(token);
+    if (numerals.length === 0 || !numerals.every(isNumeral)) return null;
+    
+    // A lone numeral without a key is more likely a search term than a chart
+    if (!keyName) {
+        return numerals.length > 1
+            ? { error: `Add a key to read numerals, e.g. "${numerals.join(' ')} in G"` }
+            : null;
+    }
+    
+    const key = parseKey(keyName);
+    if (!key) return { error: `Unknown key: ${keyName}` };
+    
+    const chords = [];
+    for (const token of numerals) {
+        const chord = resolveRomanNumeral(token, key) ?? resolveNashvilleNumber(token, key);
+        if (!chord) return { error: `Cannot read numeral "${token}"` };
+        chords.push(chord);
+    }
+    
+    return { chords, key, numerals };
+}
+
+// ================================
+// PROGRESSION UI
+// ================================
+
+let playIntervalId = null;
+
+/**
+ * Describe a chord's function for a tooltip
+ * @param {Object} analysis - Result of analyzeChordInKey
+ * @returns {string} Description
+ */
+function describeChordFunction(analysis) {
+    switch (analysis.type) {
+        case 'secondary': return `Secondary dominant of ${analysis.target}`;
+        case 'borrowed': return `Borrowed from ${analysis.source}`;
+        case 'chromatic': return 'Chromatic chord';
+        default: return 'Diatonic';
+    }
+}
+
+/**
+ * Render the detected key with its confidence and runner-up keys
+ * @param {Object} detection - Result of detectKey
+ * @param {Object} analysisKey - Key the progression is analysed in
+ * @returns {HTMLElement} Key detection element
+ */
+function renderKeyDetection(detection, analysisKey) {
+    const element = document.createElement('div');
+    element.className = 'progression-key';
+    
+    const runnersUp = detection.candidates.slice(1)
+        .map(({ key, confidence }) => `${formatKey(key)} ${Math.round(confidence * 100)}%`)
+        .join(' · ');
+    const isDetected = formatKey(analysisKey) === formatKey(detection.key);
+    
+    element.innerHTML = `
+        <span class="chord-id-label">Key</span>
+        <span class="progression-key-name">${formatKey(analysisKey)}</span>
+        ${isDetected
+            ? `<span class="progression-key-confidence">${Math.round(detection.confidence * 100)}%</span>`
+            : `<span class="progression-key-confidence">detected ${formatKey(detection.key)} ${Math.round(detection.confidence * 100)}%</span>`}
+        ${runnersUp ? `<span class="progression-key-alternatives">also ${runnersUp}</span>` : ''}
+    `;
+    
+    return element;
+}
+
+/**
+ * Render the progression bar UI
+ */
+function renderProgressionBar() {
+    // Remove existing progression bar
+    const existing = document.querySelector('.progression-container');
+    if (existing) existing.remove();
+    
+    const { chords, voicings, currentIndex } = state.progression;
+    if (chords.length === 0) return;
+    const pinnedVoicings = getPinnedVoicings();
+    
+    // Create container
+    const container = document.createElement('div');
+    container.className = 'progression-container glass-panel';
+    
+    // Key detection, and the key the chips are analysed in
+    const detection = detectKey(chords);
+    const analysisKey = state.currentKey || detection?.key;
+    if (detection) {
+        container.appendChild(renderKeyDetection(detection, analysisKey));
+    }
+    
+    // Create chord chips
+    const chipsContainer = document.createElement('div');
+    chipsContainer.className = 'progression-chips';
+    
+    chords.forEach((chord, index) => {
+        const analysis = analyzeChordInKey(chord, analysisKey);
+        const isPinned = Boolean(pinnedVoicings[index]);
+        const chip = document.createElement('button');
+        chip.className = `progression-chip ${index === currentIndex ? 'active' : ''} ${isPinned ? 'pinned' : ''}`;
+        chip.innerHTML = `
+            <span class="chip-number">${index + 1}</span>
+            <span class="chip-chord">${spellChordName(chord, state.currentKey)}</span>
+            ${analysis ? `<span class="chip-roman ${analysis.type}" title="${describeChordFunction(analysis)}">${analysis.numeral}</span>` : ''}
+            ${state.capo > 0 ? `<span class="chip-shape">${getCapoShapeName(chord)} shape</span>` : ''}
+            ${voicings[index] ? `<span class="chip-fret">Fret ${voicings[index].baseFret}</span>` : ''}
+            ${voicings[index]?.inversion ? `<span class="chip-inversion">${voicings[index].inversion}</span>` : ''}
+            ${state.progression.melody[index] ? `<span class="chip-melody" title="Melody note on top">♪ ${state.progression.melody[index].name}</span>` : ''}
+            <span class="chip-pin" role="button" tabindex="0" title="${isPinned ? 'Unpin this voicing' : 'Pin this voicing'}">📌</span>
+        `;
+        if (state.progression.showChordBoxes && voicings[index]) {
+            chip.appendChild(renderChordBox(voicings[index], { size: 'small' }));
+        }
+        chip.addEventListener('click', () => goToChord(index));
+        chip.querySelector('.chip-pin').addEventListener('click', (e) => {
+            e.stopPropagation();
+            togglePinnedVoicing(index);
+        });
+        chipsContainer.appendChild(chip);
+        
+        // Add arrow between chips
+        if (index < chords.length - 1) {
+            const arrow = document.createElement('span');
+            arrow.className = 'chip-arrow';
+            arrow.textContent = '→';
+            chipsContainer.appendChild(arrow);
+        }
+    });
+    
+    container.appendChild(chipsContainer);
+    
+    const voiceSummary = document.createElement('div');
+    voiceSummary.className = 'voice-leading-summary';
+    container.appendChild(voiceSummary);
+    
+    // Create controls
+    const controls = document.createElement('div');
+    controls.className = 'progression-controls';
+    controls.innerHTML = `
+        <button class="prog-btn" id="prev-chord" title="Previous (←)">◄ Prev</button>
+        <button class="prog-btn play-btn" id="play-pause" title="Play/Pause (Space)">▶ Play</button>
+        <button class="prog-btn" id="next-chord" title="Next (→)">Next ►</button>
+        <button class="prog-btn ${state.progression.loopEnabled ? 'active' : ''}" id="loop-toggle" title="Loop">🔄 Loop</button>
+        <div class="tempo-control">
+            <label>⚡</label>
+            <input type="range" id="tempo-slider" min="40" max="200" value="${state.progression.tempo}">
+            <span id="tempo-value">${state.progression.tempo} BPM</span>
+        </div>
+        <select class="voicing-filter" id="family-select" title="Voicing family" aria-label="Voicing family">
+            ${Object.entries(VOICING_FAMILIES).map(([key, family]) =>
+                `<option value="${key}" ${key === state.progression.family ? 'selected' : ''}>${family.label}</option>`
+            ).join('')}
+        </select>
+        <button class="prog-btn ${state.progression.showCapoAdvice ? 'active' : ''}" id="capo-advice-toggle" title="Suggest a capo position">🎯 Capo</button>
+        <button class="prog-btn ${state.progression.showScales ? 'active' : ''}" id="scale-overlay-toggle" title="Show a scale to solo over each chord">🎷 Scales</button>
+        <button class="prog-btn ${state.progression.showReharm ? 'active' : ''}" id="reharm-toggle" title="Suggest substitutions for the current chord">🔀 Reharm</button>
+        <button class="prog-btn ${state.progression.showVoiceLeading ? 'active' : ''}" id="voice-leading-toggle" title="Show how the voices move between chords">〰 Voices</button>
+        <select class="voicing-filter" id="optimize-select" title="Optimize voicings for" aria-label="Optimize voicings for">
+            <option value="hand" ${state.progression.optimizeFor === 'hand' ? 'selected' : ''}>Hand position</option>
+            <option value="voices" ${state.progression.optimizeFor === 'voices' ? 'selected' : ''}>Voice leading</option>
+        </select>
+        <button class="prog-btn ${state.progression.showConstraints ? 'active' : ''}" id="constraints-toggle" title="Pin voicings and constrain the optimizer">⚙ Constraints</button>
+        <button class="prog-btn ${state.progression.showPaths ? 'active' : ''}" id="paths-toggle" title="Compare the optimizer's best voicing paths">🧭 Paths</button>
+        <button class="prog-btn ${state.progression.showChordBoxes ? 'active' : ''}" id="chord-boxes-toggle" title="Show a chord box in each chip">▦ Boxes</button>
+        <span class="progression-scale"></span>
+    `;
+    controls.appendChild(renderTransposeControl(state.currentKey || detection?.key, transposeProgression));
+    
+    container.appendChild(controls);
+    
+    if (state.progression.showCapoAdvice) {
+        container.appendChild(renderCapoAdvice(chords, state.currentKey));
+    }
+    
+    if (state.progression.showReharm) {
+        container.appendChild(renderReharmPanel());
+    }
+    
+    if (state.progression.showConstraints) {
+        container.appendChild(renderConstraintPanel());
+    }
+    
+    if (state.progression.showPaths) {
+        container.appendChild(renderPathsPanel());
+    }
+    
+    // Insert after search panel
+    const searchPanel = document.querySelector('.search-panel');
+    if (searchPanel) {
+        searchPanel.after(container);
+    } else {
+        document.querySelector('.main-content')?.prepend(container);
+    }
+    
+    // Bind control events
+    document.getElementById('prev-chord')?.addEventListener('click', prevChord);
+    document.getElementById('next-chord')?.addEventListener('click', nextChord);
+    document.getElementById('play-pause')?.addEventListener('click', togglePlay);
+    document.getElementById('loop-toggle')?.addEventListener('click', toggleLoop);
+    document.getElementById('family-select')?.addEventListener('change', (e) => {
+        setProgressionFamily(e.target.value);
+    });
+    document.getElementById('scale-overlay-toggle')?.addEventListener('click', toggleScaleOverlay);
+    document.getElementById('voice-leading-toggle')?.addEventListener('click', toggleVoiceLeading);
+    document.getElementById('optimize-select')?.addEventListener('change', (e) => {
+        state.progression.optimizeFor = e.target.value;
+        refreshProgressionVoicings();
+    });
+    document.getElementById('reharm-toggle')?.addEventListener('click', () => {
+        state.progression.showReharm = !state.progression.showReharm;
+        renderProgressionBar();
+    });
+    document.getElementById('chord-boxes-toggle')?.addEventListener('click', () => {
+        state.progression.showChordBoxes = !state.progression.showChordBoxes;
+        renderProgressionBar();
+    });
+    document.getElementById('paths-toggle')?.addEventListener('click', () => {
+        state.progression.showPaths = !state.progression.showPaths;
+        renderProgressionBar();
+    });
+    document.getElementById('constraints-toggle')?.addEventListener('click', () => {
+        state.progression.showConstraints = !state.progression.showConstraints;
+        renderProgressionBar();
+    });
+    document.getElementById('capo-advice-toggle')?.addEventListener('click', () => {
+        state.progression.showCapoAdvice = !state.progression.showCapoAdvice;
+        renderProgressionBar();
+    });
+    
+    const tempoSlider = document.getElementById('tempo-slider');
+    tempoSlider?.addEventListener('input', (e) => {
+        state.progression.tempo = parseInt(e.target.value);
+        document.getElementById('tempo-value').textContent = `${state.progression.tempo} BPM`;
+        // Restart play if playing
+        if (state.progression.isPlaying) {
+            stopPlay();
+            startPlay();
+        }
+    });
+}
+
+/**
+ * Update progression UI to reflect current state
+ */
+function updateProgressionUI() {
+    const { currentIndex, isPlaying } = state.progression;
+    
+    // Update chip active states
+    document.querySelectorAll('.progression-chip').forEach((chip, index) => {
+        chip.classList.toggle('active', index === currentIndex);
+    });
+    
+    // Update play button
+    const playBtn = document.getElementById('play-pause');
+    if (playBtn) {
+        playBtn.innerHTML = isPlaying ? '⏸ Pause' : '▶ Play';
+    }
+}
+
+/**
+ * Toggle auto-play
+ */
+function togglePlay() {
+    if (state.progression.isPlaying) {
+        stopPlay();
+    } else {
+        startPlay();
+    }
+}
+
+/**
+ * Start auto-play
+ */
+function startPlay() {
+    const { tempo, beatsPerChord } = state.progression;
+    const interval = (60000 / tempo) * beatsPerChord; // ms per chord change
+    
+    state.progression.isPlaying = true;
+    updateProgressionUI();
+    
+    playIntervalId = setInterval(() => {
+        nextChord();
+    }, interval);
+}
+
+/**
+ * Stop auto-play
+ */
+function stopPlay() {
+    state.progression.isPlaying = false;
+    updateProgressionUI();
+    
+    if (playIntervalId) {
+        clearInterval(playIntervalId);
+        playIntervalId = null;
+    }
+}
+
+/**
+ * Re-voice the loaded progression in another voicing family
+ * @param {string} family - Key of VOICING_FAMILIES
+ */
+function setProgressionFamily(family) {
+    state.progression.family = family;
+    refreshProgressionVoicings();
+}
+
+/**
+ * Re-optimize the loaded progression's voicings (after a family or tuning change)
+ */
+function refreshProgressionVoicings() {
+    const { chords, currentIndex } = state.progression;
+    if (chords.length === 0) return;
+    
+    state.progression.voicings = solveProgressionPaths(chords);
+    renderProgressionBar();
+    goToChord(currentIndex);
+}
+
+/**
+ * Toggle loop mode
+ */
+function toggleLoop() {
+    state.progression.loopEnabled = !state.progression.loopEnabled;
+    document.getElementById('loop-toggle')?.classList.toggle('active', state.progression.loopEnabled);
+}
+
+/**
+ * Initialize keyboard shortcuts for progression navigation
+ */
+function initKeyboardShortcuts() {
+    document.addEventListener('keydown', (e) => {
+        // Only handle if progression is active
+        if (state.progression.chords.length === 0) return;
+        
+        // Don't handle if typing in input
+        if (e.target.tagName === 'INPUT') return;
+        
+        switch (e.key) {
+            case 'ArrowLeft':
+                e.preventDefault();
+                prevChord();
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                nextChord();
+                break;
+            case ' ':
+                e.preventDefault();
+                togglePlay();
+                break;
+            case '1': case '2': case '3': case '4': 
+            case '5': case '6': case '7': case '8': case '9':
+                const index = parseInt(e.key) - 1;
+                if (index < state.progression.chords.length) {
+                    e.preventDefault();
+                    goToChord(index);
+                }
+                break;
+        }
+    });
+}
+
+// ================================
+// VOICING BROWSER
+// ================================
+
+/**
+ * Neck regions the voicing browser can be limited to (fretted notes only)
+ */
+const NECK_REGIONS = {
+    all: { label: 'Whole neck', minFret: 0, maxFret: 15 },
+    open: { label: 'Open position', minFret: 0, maxFret: 4 },
+    middle: { label: 'Frets 5–9', minFret: 5, maxFret: 9 },
+    upper: { label: 'Frets 9–15', minFret: 9, maxFret: 15 },
+};
+
+/**
+ * String sets the voicing browser can be limited to
+ */
+const STRING_SETS = {
+    all: { label: 'All strings', strings: null },
+    bass: { label: 'Strings 6–3', strings: [6, 5, 4, 3] },
+    middle: { label: 'Strings 5–2', strings: [5, 4, 3, 2] },
+    treble: { label: 'Strings 4–1', strings: [4, 3, 2, 1] },
+};
+
+/**
+ * Check that every string of a string set exists on the active instrument
+ * @param {Array<number>|null} strings - String numbers (null = all strings)
+ * @returns {boolean} True when the set can be used
+ */
+function isStringSetAvailable(strings) {
+    return !strings || strings.every(stringNum => stringNum <= CONFIG.strings);
+}
+
+/**
+ * Start browsing the voicings of a chord, showing the most playable one
+ * @param {string} chordName - Chord name
+ * @returns {boolean} True when a voicing matching the filters is on the fretboard
+ */
+function openVoicingBrowser(chordName, topNote = null) {
+    state.voicingBrowser.chordName = chordName;
+    state.voicingBrowser.topNote = topNote;
+    return refreshVoicingBrowser();
+}
+
+/**
+ * Regenerate the browser's voicing list from the current chord and filters
+ * @returns {boolean} True when at least one voicing matches
+ */
+function refreshVoicingBrowser() {
+    const browser = state.voicingBrowser;
+    if (!browser.chordName) return false;
+    
+    const { region, stringSet, allowOpen, family } = browser.filters;
+    // Regions are measured from the capo, which acts as the nut
+    const { minFret, maxFret } = NECK_REGIONS[region];
+    browser.voicings = generateAllVoicings(browser.chordName, maxFret + state.capo, {
+        minFret: minFret + state.capo,
+        allowOpen,
+        family,
+        strings: STRING_SETS[stringSet].strings,
+        topNote: browser.topNote,
+    });
+    browser.index = Math.max(0, browser.voicings.indexOf(findBestVoicing(browser.voicings)));
+    
+    if (browser.voicings.length === 0) {
+        renderVoicingBrowser();
+        return false;
+    }
+    
+    selectBrowserVoicing(browser.index);
+    return true;
+}
+
+/**
+ * Show one of the browsed voicings on the fretboard
+ * @param {number} index - Voicing index (wraps around)
+ */
+function selectBrowserVoicing(index) {
+    const browser = state.voicingBrowser;
+    const count = browser.voicings.length;
+    if (count === 0) return;
+    
+    browser.index = (index + count) % count;
+    const voicing = browser.voicings[browser.index];
+    
+    state.currentChord = browser.chordName;
+    state.currentScale = null;
+    highlightChord(voicing.positions);
+    renderVoicingBrowser();
+}
+
+/**
+ * Step to the next or previous voicing
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function stepVoicing(direction) {
+    selectBrowserVoicing(state.voicingBrowser.index + direction);
+}
+
+/**
+ * Update one browser filter and regenerate the voicing list
+ * @param {string} name - Filter name ('region', 'stringSet', 'allowOpen' or 'family')
+ * @param {string|boolean} value - New filter value
+ */
+function setVoicingFilter(name, value) {
+    state.voicingBrowser.filters[name] = value;
+    refreshVoicingBrowser();
+}
+
+/**
+ * Hide the voicing browser (keeps the filters for the next chord)
+ */
+function closeVoicingBrowser() {
+    state.voicingBrowser.chordName = null;
+    state.voicingBrowser.voicings = [];
+    state.voicingBrowser.index = 0;
+    document.querySelector('.voicing-browser')?.remove();
+}
+
+/**
+ * Build a small fret grid previewing a voicing
+ * Strings run top (1) to bottom, like the main fretboard.
+ * @param {Object} voicing - Voicing object
+ * @returns {HTMLElement} Preview element
+ */
+function renderVoicingPreview(voicing) {
+    const preview = document.createElement('div');
+    preview.className = 'voicing-preview';
+    
+    // Draw relative to the capo so capoed shapes read like their open originals
+    const capo = voicing.capo || 0;
+    const frets = voicing.frets.map(f => f < 0 ? f : f - capo);
+    const fretCount = Math.max(4, voicing.fretSpan + 1);
+    const maxFret = Math.max(...frets);
+    const startFret = maxFret <= fretCount ? 1 : voicing.baseFret - capo;
+    preview.style.setProperty('--preview-frets', fretCount);
+    
+    for (let stringNum = 1; stringNum <= CONFIG.strings; stringNum++) {
+        const fret = frets[CONFIG.strings - stringNum];
+        const row = document.createElement('div');
+        row.className = 'preview-string';
+        
+        const status = document.createElement('span');
+        status.className = 'preview-status';
+        status.textContent = fret < 0 ? '×' : fret === 0 ? '○' : '';
+        row.appendChild(status);
+        
+        for (let offset = 0; offset < fretCount; offset++) {
+            const cell = document.createElement('span');
+            cell.className = 'preview-fret';
+            if (fret === startFret + offset) {
+                const isRoot = voicing.positions.some(p => p.string === stringNum && p.isRoot);
+                cell.innerHTML = `<span class="preview-dot ${isRoot ? 'root' : ''}"></span>`;
+            }
+            row.appendChild(cell);
+        }
+        
+        preview.appendChild(row);
+    }
+    
+    if (startFret > 1) {
+        const label = document.createElement('span');
+        label.className = 'preview-base-fret';
+        label.textContent = `${startFret}fr`;
+        preview.appendChild(label);
+    }
+    
+    return preview;
+}
+
+/**
+ * Render the voicing carousel under the fretboard
+ */
+function renderVoicingBrowser() {
+    const browser = state.voicingBrowser;
+    const existing = document.querySelector('.voicing-browser');
+    if (!browser.chordName) {
+        existing?.remove();
+        return;
+    }
+    
+    const panel = existing || document.createElement('section');
+    panel.className = 'voicing-browser glass-panel';
+    
+    const { voicings, index, filters } = browser;
+    const current = voicings[index];
+    const difficulty = current ? scoreVoicingDifficulty(current) : null;
+    const options = (table, selected) => Object.entries(table)
+        .filter(([, entry]) => isStringSetAvailable(entry.strings))
+        .map(([key, entry]) =>
+            `<option value="${key}" ${key === selected ? 'selected' : ''}>${entry.label}</option>`
+        ).join('');
+    
+    panel.innerHTML = `
+        <div class="voicing-browser-header">
+            <div class="voicing-browser-title">
+                <span class="chord-id-label">Voicings</span>
+                <span class="voicing-browser-chord">${spellChordName(browser.chordName, state.currentKey)}</span>
+                ${state.capo > 0 ? `<span class="voicing-browser-capo">${getCapoShapeName(browser.chordName)} shape · capo ${state.capo}</span>` : ''}
+                ${browser.topNote ? `<span class="voicing-browser-melody" title="Only voicings with this melody note on top">♪ ${browser.topNote.name} on top</span>` : ''}
+            </div>
+            ${current ? `
+            <div class="voicing-browser-nav">
+                <button class="prog-btn" id="prev-voicing" title="Previous voicing">◄</button>
+                <div class="voicing-browser-info">
+                    <span class="voicing-browser-shape">${current.shapeName}</span>
+                    ${current.inversion ? `<span class="voicing-browser-inversion">${current.inversion}</span>` : ''}
+                    <span class="voicing-browser-meta">${current.baseFret > 0 ? `Fret ${current.baseFret}` : 'Open'} · ${index + 1} / ${voicings.length}</span>
+                    <span class="voicing-difficulty ${difficulty.label.toLowerCase()}" title="${describeDifficulty(difficulty)}">${difficulty.label} · ${difficulty.score}</span>
+                </div>
+                <button class="prog-btn" id="next-voicing" title="Next voicing">►</button>
+            </div>` : ''}
+            <div class="voicing-browser-filters">
+                <select class="voicing-filter" data-filter="family" aria-label="Voicing family">${options(VOICING_FAMILIES, filters.family)}</select>
+                <select class="voicing-filter" data-filter="region" aria-label="Neck region">${options(NECK_REGIONS, filters.region)}</select>
+                <select class="voicing-filter" data-filter="stringSet" aria-label="String set">${options(STRING_SETS, filters.stringSet)}</select>
+                <label class="voicing-filter-toggle">
+                    <input type="checkbox" data-filter="allowOpen" ${filters.allowOpen ? 'checked' : ''}>
+                    Open strings
+                </label>
+            </div>
+        </div>
+        <div class="voicing-browser-track"></div>
+    `;
+    
+    const track = panel.querySelector('.voicing-browser-track');
+    if (voicings.length === 0) {
+        track.innerHTML = '<div class="voicing-browser-empty">No voicings match these filters</div>';
+    }
+    voicings.forEach((voicing, i) => {
+        const card = document.createElement('button');
+        const fits = fitsHandProfile(voicing);
+        card.className = `voicing-card ${i === index ? 'active' : ''} ${fits ? '' : 'beyond-profile'}`;
+        card.title = `${voicing.shapeName} · ${voicing.frets.map(f => f < 0 ? 'x' : f).join(' ')}` +
+            (fits ? '' : ' · beyond your hand profile');
+        card.appendChild(renderVoicingPreview(voicing));
+        if (voicing.inversion) {
+            const label = document.createElement('span');
+            label.className = 'voicing-card-inversion';
+            label.textContent = voicing.inversion.replace(' inversion', ' inv').replace(' position', '');
+            card.appendChild(label);
+        }
+        card.addEventListener('click', () => selectBrowserVoicing(i));
+        track.appendChild(card);
+    });
+    
+    panel.querySelector('#prev-voicing')?.addEventListener('click', () => stepVoicing(-1));
+    panel.querySelector('#next-voicing')?.addEventListener('click', () => stepVoicing(1));
+    panel.querySelectorAll('select.voicing-filter').forEach(select => {
+        select.addEventListener('change', () => setVoicingFilter(select.dataset.filter, select.value));
+    });
+    panel.querySelector('[data-filter="allowOpen"]')?.addEventListener('change', (e) => {
+        setVoicingFilter('allowOpen', e.target.checked);
+    });
+    
+    if (!existing) {
+        document.querySelector('.fretboard-panel')?.after(panel);
+    }
+    
+    track.querySelector('.voicing-card.active')?.scrollIntoView?.({ block: 'nearest', inline: 'center' });
+}
+
+// ================================
+// CAPO ADVISOR
+// ================================
+
+/**
+ * Highest capo position the advisor considers
  */
-function showSearchSuggestions(query) {
-    if (!query || query.length < 2) {
-        hideSearchResults();
-        return;
-    }
+const MAX_ADVISED_CAPO = 7;
+
+/**
+ * Check whether a voicing is an easy open shape relative to its capo
+ * (no barre, at most three fingers, at least one open string, no muted
+ * string inside the shape and nothing above the third fret)
+ * @param {Object} voicing - Voicing object
+ * @returns {boolean} True for an easy open shape
+ */
+function isEasyOpenVoicing(voicing) {
+    const capo = voicing.capo || 0;
+    const first = voicing.frets.findIndex(f => f >= 0);
+    const last = voicing.frets.length - 1 - [...voicing.frets].reverse().findIndex(f => f >= 0);
+    const inner = voicing.frets.slice(first, last + 1);
+    return !voicing.barre &&
+        voicing.fingers <= 3 &&
+        inner.every(f => f >= capo && f <= capo + 3) &&
+        inner.some(f => f === capo);
+}
+
+/**
+ * Rank capo positions by how many chords of a song can use easy open shapes
+ * @param {string[]} chordNames - Sounding chord names
+ * @param {Object|null} key - Sounding key used for spelling shape names
+ * @param {number} limit - Number of suggestions to return
+ * @returns {Object[]} Suggestions with capo, shapes, easyCount and total
+ */
+function adviseCapo(chordNames, key = null, limit = 3) {
+    const uniqueChords = [...new Set(chordNames)];
+    if (uniqueChords.length === 0) return [];
     
-    const result = handleSearch(query);
+    const maxCapo = Math.min(MAX_ADVISED_CAPO, CONFIG.frets - 5);
+    const suggestions = [];
     
-    // Create or get results container
-    let resultsContainer = document.querySelector('.search-results');
-    if (!resultsContainer) {
-        resultsContainer = document.createElement('div');
-        resultsContainer.className = 'search-results glass-panel';
-        document.querySelector('.search-panel')?.appendChild(resultsContainer);
+    for (let capo = 0; capo <= maxCapo; capo++) {
+        const shapeKey = transposeKey(key, -capo);
+        const easyChords = uniqueChords.filter(chord =>
+            generateAllVoicings(chord, capo + 3, { capo }).some(isEasyOpenVoicing)
+        );
+        
+        suggestions.push({
+            capo,
+            shapes: uniqueChords.map(chord => transposeChordName(chord, -capo, shapeKey)),
+            easyChords,
+            easyCount: easyChords.length,
+            total: uniqueChords.length,
+        });
     }
     
-    resultsContainer.innerHTML = '';
-    
-    if (result.type === 'chord') {
-        const item = document.createElement('div');
-        item.className = 'search-result-item chord-result';
-        item.innerHTML = `
-            <span class="result-icon">🎸</span>
-            <span class="result-text"><strong>${result.result.name}</strong> - ${result.result.notes.join(', ')}</span>
+    return suggestions
+        .sort((a, b) => b.easyCount - a.easyCount || a.capo - b.capo)
+        .slice(0, limit);
+}
+
+/**
+ * Render capo suggestions as buttons that put the capo on
+ * @param {string[]} chordNames - Sounding chord names
+ * @param {Object|null} key - Sounding key
+ * @returns {HTMLElement} Capo advice element
+ */
+function renderCapoAdvice(chordNames, key = null) {
+    const advice = document.createElement('div');
+    advice.className = 'capo-advice';
+    
+    const suggestions = adviseCapo(chordNames, key);
+    advice.innerHTML = '<span class="chord-id-label">Capo advisor</span>';
+    
+    suggestions.forEach(suggestion => {
+        const button = document.createElement('button');
+        button.className = `capo-suggestion ${suggestion.capo === state.capo ? 'active' : ''}`;
+        button.dataset.capo = suggestion.capo;
+        button.innerHTML = `
+            <span class="capo-suggestion-fret">${suggestion.capo === 0 ? 'No capo' : `Capo ${suggestion.capo}`}</span>
+            <span class="capo-suggestion-shapes">${suggestion.shapes.join(' ')}</span>
+            <span class="capo-suggestion-count">${suggestion.easyCount}/${suggestion.total} open</span>
         `;
-        item.addEventListener('click', () => {
-            displayChord(result.result.name);
-            hideSearchResults();
-            document.querySelector('.search-input').value = result.result.name;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setCapo(suggestion.capo);
         });
-        resultsContainer.appendChild(item);
-    }
+        advice.appendChild(button);
+    });
     
-    if (result.type === 'songs') {
-        result.result.slice(0, 5).forEach(song => {
-            const item = document.createElement('div');
-            item.className = 'search-result-item song-result';
-            item.innerHTML = `
-                <span class="result-icon">🎵</span>
-                <span class="result-text"><strong>${song.title}</strong> - ${song.artist}</span>
-                <span class="result-chords">${song.chords.join(', ')}</span>
-            `;
-            item.addEventListener('click', () => {
-                showSongDetails(song);
-                hideSearchResults();
-            });
-            resultsContainer.appendChild(item);
+    return advice;
+}
+
+// ================================
+// TRANSPOSITION
+// ================================
+
+/**
+ * Move a list of chords by a number of semitones, spelled in the new key
+ * @param {string[]} chordNames - Chord names
+ * @param {number} semitones - Distance to move (negative = down)
+ * @param {Object|null} key - Current key, {tonic, mode}
+ * @returns {Object} {chords, key} in the new key
+ */
+function transposeChordList(chordNames, semitones, key) {
+    const targetKey = transposeKey(key, semitones);
+    return {
+        chords: chordNames.map(chord => transposeChordName(chord, semitones, targetKey)),
+        key: targetKey,
+    };
+}
+
+/**
+ * Transpose the loaded progression and re-optimize its voicings
+ * @param {number} semitones - Distance to move (negative = down)
+ * @returns {boolean} True if the progression moved
+ */
+function transposeProgression(semitones) {
+    const { chords } = state.progression;
+    if (chords.length === 0 || !semitones) return false;
+    
+    const transposed = transposeChordList(chords, semitones, state.currentKey || detectKey(chords)?.key);
+    state.currentKey = transposed.key;
+    state.progression.chords = transposed.chords;
+    state.progression.melody = transposeMelody(state.progression.melody, semitones, transposed.key);
+    refreshProgressionVoicings();
+    
+    console.log(`Transposed to ${formatKey(transposed.key)}:`, transposed.chords);
+    return true;
+}
+
+/**
+ * Transpose the loaded progression so its tonic lands on a target key
+ * The progression keeps its own mode: 'A' moves an E minor song to A minor.
+ * @param {string} keyName - e.g. 'A', 'Bb major'
+ * @returns {boolean} True if the progression moved
+ */
+function transposeProgressionToKey(keyName) {
+    const target = parseKey(keyName);
+    const { chords } = state.progression;
+    if (!target || chords.length === 0) return false;
+    
+    return transposeProgression(getTransposeInterval(state.currentKey || detectKey(chords)?.key, target));
+}
+
+/**
+ * Transpose the song shown through showSongDetails and show it again in the new key
+ * @param {number} semitones - Distance to move (negative = down)
+ * @returns {boolean} True if the song moved
+ */
+function transposeSong(semitones) {
+    const song = state.currentSong;
+    if (!song || !semitones) return false;
+    
+    const transposed = transposeChordList(song.chords, semitones, resolveSongKey(song));
+    showSongDetails({ ...song, chords: transposed.chords, key: formatKey(transposed.key) });
+    return true;
+}
+
+/**
+ * Render semitone up/down buttons and a target-key picker
+ * @param {Object|null} key - Current key, {tonic, mode}
+ * @param {Function} onTranspose - Called with the signed semitone distance
+ * @returns {HTMLElement} Transpose control element
+ */
+function renderTransposeControl(key, onTranspose) {
+    const control = document.createElement('div');
+    control.className = 'transpose-control';
+    if (!key) return control;
+    
+    control.innerHTML = `
+        <button class="prog-btn" data-step="-1" title="Transpose down a semitone">−</button>
+        <select class="voicing-filter" aria-label="Target key">
+            ${KEY_TONIC_NAMES[key.mode].map(tonic => {
+                const target = { tonic, mode: key.mode };
+                const interval = getTransposeInterval(key, target);
+                return `<option value="${interval}" ${interval === 0 ? 'selected' : ''}>${formatKey(target)}</option>`;
+            }).join('')}
+        </select>
+        <button class="prog-btn" data-step="1" title="Transpose up a semitone">+</button>
+    `;
+    
+    control.querySelectorAll('[data-step]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onTranspose(Number(button.dataset.step));
         });
-    }
+    });
+    control.querySelector('select').addEventListener('change', (e) => {
+        onTranspose(Number(e.target.value));
+    });
     
-    if (result.type === 'notfound') {
-        resultsContainer.innerHTML = '<div class="search-result-item no-result">No results found</div>';
-    }
+    return control;
+}
+
+// ================================
+// DIATONIC PALETTE
+// ================================
+
+/**
+ * Scales offered by the diatonic palette, with the key mode used for spelling
+ */
+const DIATONIC_SCALES = {
+    major: { label: 'Major', mode: 'major' },
+    naturalMinor: { label: 'Natural minor', mode: 'minor' },
+    harmonicMinor: { label: 'Harmonic minor', mode: 'minor' },
+    melodicMinor: { label: 'Melodic minor', mode: 'minor' },
+};
+
+/**
+ * Name the chord quality of stacked thirds
+ * @param {number[]} intervals - Semitones from the root
+ * @returns {string|null} Chord suffix, or null if the stack has no name
+ */
+function getStackedChordSuffix(intervals) {
+    const quality = Object.keys(CHORD_INTERVALS).find(name =>
+        CHORD_INTERVALS[name].join() === intervals.join()
+    );
+    if (quality) return CHORD_SYMBOLS[quality] ?? quality;
     
-    resultsContainer.style.display = 'block';
+    // Augmented major 7th (III+ of harmonic and melodic minor)
+    return intervals.join() === '0,4,8,11' ? 'maj7#5' : null;
 }
 
 /**
- * Show song results with chords
- * @param {Array} songs - Array of song objects
+ * Build the diatonic triads and seventh chords of a key
+ * @param {string} tonic - Tonic note, e.g. 'G'
+ * @param {string} scale - Key of DIATONIC_SCALES
+ * @returns {Array<Object>} Seven {degree, numeral, triad, seventh} entries, chords as names
  */
-function showSongResults(songs) {
-    let resultsContainer = document.querySelector('.search-results');
-    if (!resultsContainer) {
-        resultsContainer = document.createElement('div');
-        resultsContainer.className = 'search-results glass-panel';
-        document.querySelector('.search-panel')?.appendChild(resultsContainer);
+function getDiatonicChords(tonic, scale = 'major') {
+    const { mode } = DIATONIC_SCALES[scale];
+    const key = { tonic, mode };
+    const tonicIndex = getNoteIndex(tonic);
+    const steps = SCALE_INTERVALS[scale];
+    
+    return steps.map((degree, index) => {
+        const stack = count => Array.from({ length: count }, (_, i) =>
+            (steps[(index + i * 2) % 7] - degree + 12) % 12
+        );
+        // Chord names cannot carry double accidentals (F## in G# harmonic minor), so those roots use their plain name
+        const spelled = spellNoteInKey((tonicIndex + degree) % 12, key);
+        const root = /##|bb/.test(spelled) ? getNoteName((tonicIndex + degree) % 12) : spelled;
+        const triad = stack(3);
+        const seventh = stack(4);
+        
+        return {
+            degree,
+            numeral: formatRomanNumeral(degree, triad, mode),
+            seventhNumeral: formatRomanNumeral(degree, seventh, mode),
+            triad: root + getStackedChordSuffix(triad),
+            seventh: root + getStackedChordSuffix(seventh),
+        };
+    });
+}
+
+/**
+ * Parse a palette query such as "key of G", "chords in E harmonic minor" or "Bb major chords"
+ * @param {string} query - Search query
+ * @returns {Object|null} {tonic, scale}, or null if the query does not ask for a key's chords
+ */
+function parsePaletteQuery(query) {
+    const trimmed = (query || '').trim();
+    const match = /^(?:key\s+of|chords\s+in|diatonic(?:\s+chords)?(?:\s+(?:in|of))?)\s+(.+)$/i.exec(trimmed) ||
+        /^(.+?)\s+(?:key|chords|diatonic(?:\s+chords)?)$/i.exec(trimmed);
+    if (!match) return null;
+    
+    const keyMatch = /^([A-Ga-g][#b]?)\s*(major|maj|natural\s+minor|harmonic\s+minor|melodic\s+minor|minor|min|m)?$/i.exec(match[1].trim());
+    if (!keyMatch) return null;
+    
+    const [, tonic, scaleName = 'major'] = keyMatch;
+    const name = scaleName.toLowerCase().replace(/\s+/, ' ');
+    const scale = name.startsWith('harmonic') ? 'harmonicMinor'
+        : name.startsWith('melodic') ? 'melodicMinor'
+        : /^(m|min|minor|natural minor)$/.test(name) ? 'naturalMinor'
+        : 'major';
+    
+    return { tonic: tonic[0].toUpperCase() + tonic.slice(1), scale };
+}
+
+/**
+ * Open the diatonic palette for a key
+ * @param {string|Object} key - Key name ('G', 'E minor') or {tonic, mode}
+ * @param {string} scale - Key of DIATONIC_SCALES (defaults to the key's mode)
+ * @returns {boolean} True if the palette opened
+ */
+function openKeyPalette(key, scale = null) {
+    const parsed = typeof key === 'string' ? parseKey(key) : key;
+    if (!parsed || getNoteIndex(parsed.tonic) === -1) return false;
+    
+    const paletteScale = scale && DIATONIC_SCALES[scale]
+        ? scale
+        : parsed.mode === 'minor' ? 'naturalMinor' : 'major';
+    // Spell the tonic the way the key is written (Db minor reads as C# minor), so no chord needs double flats
+    const mode = DIATONIC_SCALES[paletteScale].mode;
+    state.keyPalette.scale = paletteScale;
+    state.keyPalette.key = { tonic: KEY_TONIC_NAMES[mode][getNoteIndex(parsed.tonic)], mode };
+    
+    renderKeyPalette();
+    return true;
+}
+
+/**
+ * Close the diatonic palette
+ */
+function closeKeyPalette() {
+    state.keyPalette.key = null;
+    document.querySelector('.key-palette')?.remove();
+}
+
+/**
+ * Render the diatonic palette panel above the fretboard
+ */
+function renderKeyPalette() {
+    const { key, scale } = state.keyPalette;
+    const existing = document.querySelector('.key-palette');
+    if (!key) {
+        existing?.remove();
+        return;
     }
     
-    resultsContainer.innerHTML = '<div class="results-header">Song Results</div>';
+    const panel = existing || document.createElement('section');
+    panel.className = 'key-palette glass-panel';
+    
+    const tonicIndex = getNoteIndex(key.tonic);
+    panel.innerHTML = `
+        <div class="key-palette-header">
+            <span class="chord-id-label">Diatonic chords</span>
+            <select class="voicing-filter" id="palette-tonic" aria-label="Key">
+                ${KEY_TONIC_NAMES[key.mode].map((tonic, i) =>
+                    `<option value="${tonic}" ${i === tonicIndex ? 'selected' : ''}>${tonic}</option>`
+                ).join('')}
+            </select>
+            <select class="voicing-filter" id="palette-scale" aria-label="Scale">
+                ${Object.entries(DIATONIC_SCALES).map(([name, entry]) =>
+                    `<option value="${name}" ${name === scale ? 'selected' : ''}>${entry.label}</option>`
+                ).join('')}
+            </select>
+            <button class="prog-btn" id="palette-close" title="Close">✕</button>
+        </div>
+        <div class="key-palette-grid"></div>
+    `;
     
-    songs.forEach(song => {
-        const item = document.createElement('div');
-        item.className = 'search-result-item song-result';
-        item.innerHTML = `
-            <div class="song-info">
-                <strong>${song.title}</strong> - ${song.artist}
-                <div class="song-key">Key: ${song.key}</div>
-            </div>
-            <div class="song-chords">${song.chords.map(c => `<span class="chord-tag">${c}</span>`).join('')}</div>
-        `;
+    const grid = panel.querySelector('.key-palette-grid');
+    const chords = getDiatonicChords(key.tonic, scale);
+    [['Triads', 'triad', 'numeral'], ['Sevenths', 'seventh', 'seventhNumeral']].forEach(([label, field, numeralField]) => {
+        const rowLabel = document.createElement('span');
+        rowLabel.className = 'key-palette-row-label';
+        rowLabel.textContent = label;
+        grid.appendChild(rowLabel);
         
-        // Add click handlers for chord tags
-        item.querySelectorAll('.chord-tag').forEach(tag => {
-            tag.addEventListener('click', (e) => {
-                e.stopPropagation();
-                displayChord(tag.textContent);
+        chords.forEach(entry => {
+            const cell = document.createElement('div');
+            cell.className = 'palette-cell';
+            cell.innerHTML = `
+                <button class="palette-chord" title="Show ${entry[field]}">
+                    <span class="palette-numeral">${entry[numeralField]}</span>
+                    <span class="palette-name">${entry[field]}</span>
+                </button>
+                <button class="palette-add" title="Add ${entry[field]} to the progression">+</button>
+            `;
+            cell.querySelector('.palette-chord').addEventListener('click', () => {
+                state.currentKey = key;
+                displayChord(entry[field]);
             });
+            cell.querySelector('.palette-add').addEventListener('click', () => {
+                appendToProgression(entry[field], key);
+            });
+            grid.appendChild(cell);
         });
-        
-        resultsContainer.appendChild(item);
     });
     
-    resultsContainer.style.display = 'block';
+    panel.querySelector('#palette-tonic').addEventListener('change', (e) => {
+        openKeyPalette({ tonic: e.target.value, mode: key.mode }, scale);
+    });
+    panel.querySelector('#palette-scale').addEventListener('change', (e) => {
+        // Keep the tonic's pitch, spelled for the new mode
+        const mode = DIATONIC_SCALES[e.target.value].mode;
+        openKeyPalette({ tonic: KEY_TONIC_NAMES[mode][tonicIndex], mode }, e.target.value);
+    });
+    panel.querySelector('#palette-close').addEventListener('click', closeKeyPalette);
+    
+    if (!existing) {
+        document.querySelector('.fretboard-panel')?.before(panel);
+    }
 }
 
+// ================================
+// CHORD-SCALE SUGGESTIONS
+// ================================
+
 /**
- * Show detailed song view
- * @param {Object} song - Song object
+ * Modes of each key's parent scales, indexed by scale step
  */
-function showSongDetails(song) {
-    console.log(`Selected song: ${song.title} by ${song.artist}`);
-    console.log(`Chords: ${song.chords.join(' - ')}`);
-    
-    // Display the first chord
-    if (song.chords.length > 0) {
-        displayChord(song.chords[0]);
+const PARENT_SCALE_MODES = {
+    major: ['ionian', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'aeolian', 'locrian'],
+    naturalMinor: ['aeolian', 'locrian', 'ionian', 'dorian', 'phrygian', 'lydian', 'mixolydian'],
+};
+
+/**
+ * Chord scales by triad type when the key does not decide
+ */
+const QUALITY_SCALES = {
+    major: 'ionian',
+    minor: 'dorian',
+    diminished: 'diminished',
+    augmented: 'wholeTone',
+    other: 'mixolydian',
+};
+
+/**
+ * Pick the scale to improvise over a chord
+ * Altered tensions decide first (7alt, 7b9, 7b13, 7#11), then the chord's function in the key.
+ * @param {string} chordName - Chord name
+ * @param {Object|null} key - {tonic, mode}
+ * @returns {Object|null} {root, scale, name}
+ */
+function getChordScale(chordName, key = null) {
+    const parsed = parseChordName(chordName);
+    if (!isValidChord(parsed)) return null;
+    
+    const has = interval => parsed.intervals.includes(interval);
+    const triad = getTriadType(parsed.intervals);
+    const isDominant = (triad === 'major' || triad === 'other') && has(10);
+    const analysis = key ? analyzeChordInKey(chordName, key) : null;
+    const root = key ? spellNoteInKey(getNoteIndex(parsed.root), key) : parsed.root;
+    
+    let scale = null;
+    if (isDominant && (has(15) || has(8) || (has(13) && has(20)))) {
+        scale = 'altered';
+    } else if (isDominant && has(13)) {
+        scale = 'halfWholeDiminished';
+    } else if (isDominant && has(20)) {
+        scale = 'phrygianDominant';
+    } else if (isDominant && (has(18) || has(6))) {
+        scale = 'lydianDominant';
+    } else if (analysis?.type === 'diatonic') {
+        scale = getDiatonicChordScale(parsed, analysis.degree, key);
+    } else if (analysis?.type === 'secondary') {
+        // Dominants into minor chords carry the target's b6 (b13)
+        scale = /^[iv]/.test(analysis.target) ? 'phrygianDominant' : 'mixolydian';
+    } else if (isDominant) {
+        scale = analysis && analysis.degree !== 7 ? 'lydianDominant' : 'mixolydian';
+    } else if (analysis?.type === 'borrowed' && triad === 'major') {
+        scale = 'lydian';
     }
     
-    // Update search input
-    document.querySelector('.search-input').value = song.title;
+    if (!scale) {
+        scale = has(11) && triad === 'minor' ? 'melodicMinor'
+            : triad === 'diminished' && has(10) ? 'locrian'
+            : QUALITY_SCALES[triad];
+    }
     
-    showSongResults([song]);
+    return { root, scale, name: `${root} ${SCALE_DISPLAY_NAMES[scale]}` };
 }
 
 /**
- * Show no results message
- * @param {string} query - The search query
+ * Get the mode of the key's own scale that starts on a diatonic chord
+ * @param {Object} parsed - Parsed chord
+ * @param {number} degree - Semitones from the tonic to the chord root
+ * @param {Object} key - {tonic, mode}
+ * @returns {string|null} Scale key, or null to fall back to the chord quality
  */
-function showNoResults(query) {
-    let resultsContainer = document.querySelector('.search-results');
-    if (!resultsContainer) {
-        resultsContainer = document.createElement('div');
-        resultsContainer.className = 'search-results glass-panel';
-        document.querySelector('.search-panel')?.appendChild(resultsContainer);
+function getDiatonicChordScale(parsed, degree, key) {
+    const parent = key.mode === 'minor' ? 'naturalMinor' : 'major';
+    const pitchClasses = getChordPitchClasses(parsed);
+    
+    // Minor-key chords on the raised 7th come from harmonic minor
+    const tonicIndex = getNoteIndex(key.tonic);
+    const usesLeadingTone = key.mode === 'minor' &&
+        pitchClasses.some(pc => (pc - tonicIndex + 12) % 12 === 11);
+    if (usesLeadingTone) {
+        if (degree === 7) return 'phrygianDominant';
+        if (degree === 11) return 'diminished';
+        if (degree === 0) return 'melodicMinor';
+        return null;
     }
     
-    resultsContainer.innerHTML = `<div class="search-result-item no-result">No results found for "${query}"</div>`;
-    resultsContainer.style.display = 'block';
+    const step = SCALE_INTERVALS[parent].indexOf(degree);
+    return step === -1 || !isDiatonicToKey(pitchClasses, key) ? null : PARENT_SCALE_MODES[parent][step];
 }
 
 /**
- * Hide search results dropdown
+ * Draw a scale as a dimmed second layer under the chord markers
+ * @param {string} root - Scale root
+ * @param {string} scale - Scale key
  */
-function hideSearchResults() {
-    const resultsContainer = document.querySelector('.search-results');
-    if (resultsContainer) {
-        resultsContainer.style.display = 'none';
-    }
+function highlightScaleLayer(root, scale) {
+    clearScaleLayer();
+    
+    const rootIndex = getNoteIndex(root);
+    const labels = getScaleDegreeLabels(SCALE_INTERVALS[scale]);
+    calculateScalePositions(root, scale).forEach(pos => {
+        const notePosition = document.getElementById(getPositionId(pos.string, pos.fret));
+        if (!notePosition || notePosition.querySelector('.note-marker')) return;
+        
+        const semitones = ((OPEN_STRING_NOTES[pos.string] + pos.fret) % 12 - rootIndex + 12) % 12;
+        const marker = document.createElement('div');
+        marker.className = `scale-marker ${pos.isRoot ? 'root' : ''}`;
+        marker.textContent = state.showDegrees ? labels[semitones] : spellInterval(root, semitones, labels[semitones]);
+        notePosition.appendChild(marker);
+    });
 }
 
-
-// ================================
-// MULTIPLE VOICING GENERATOR (CAGED System)
-// ================================
+/**
+ * Remove the scale layer
+ */
+function clearScaleLayer() {
+    document.querySelectorAll('.scale-marker').forEach(marker => marker.remove());
+}
 
 /**
- * CAGED chord shape templates for generating voicings across the fretboard
- * Each shape can be transposed to any root note
+ * Show the chord scale for the current progression chord, or hide it when the overlay is off
  */
-const CAGED_SHAPES = {
-    // E-shape (root on 6th string)
-    E: {
-        major: { strings: [0, 2, 2, 1, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
-        minor: { strings: [0, 2, 2, 0, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
-        '7': { strings: [0, 2, 0, 1, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
-        'm7': { strings: [0, 2, 0, 0, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
-        'maj7': { strings: [0, 2, 1, 1, 0, 0], rootString: 6, rootFret: 0, name: 'E-shape' },
-    },
-    // A-shape (root on 5th string)
-    A: {
-        major: { strings: [-1, 0, 2, 2, 2, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
-        minor: { strings: [-1, 0, 2, 2, 1, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
-        '7': { strings: [-1, 0, 2, 0, 2, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
-        'm7': { strings: [-1, 0, 2, 0, 1, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
-        'maj7': { strings: [-1, 0, 2, 1, 2, 0], rootString: 5, rootFret: 0, name: 'A-shape' },
-    },
-    // D-shape (root on 4th string)
-    D: {
-        major: { strings: [-1, -1, 0, 2, 3, 2], rootString: 4, rootFret: 0, name: 'D-shape' },
-        minor: { strings: [-1, -1, 0, 2, 3, 1], rootString: 4, rootFret: 0, name: 'D-shape' },
-        '7': { strings: [-1, -1, 0, 2, 1, 2], rootString: 4, rootFret: 0, name: 'D-shape' },
-        'm7': { strings: [-1, -1, 0, 2, 1, 1], rootString: 4, rootFret: 0, name: 'D-shape' },
-        'maj7': { strings: [-1, -1, 0, 2, 2, 2], rootString: 4, rootFret: 0, name: 'D-shape' },
-    },
-    // C-shape (root on 5th string, higher position)
-    C: {
-        major: { strings: [-1, 3, 2, 0, 1, 0], rootString: 5, rootFret: 3, name: 'C-shape' },
-        minor: { strings: [-1, 3, 1, 0, 1, -1], rootString: 5, rootFret: 3, name: 'C-shape' },
-        '7': { strings: [-1, 3, 2, 3, 1, 0], rootString: 5, rootFret: 3, name: 'C-shape' },
-        'm7': { strings: [-1, 3, 1, 3, 1, -1], rootString: 5, rootFret: 3, name: 'C-shape' },
-        'maj7': { strings: [-1, 3, 2, 0, 0, 0], rootString: 5, rootFret: 3, name: 'C-shape' },
-    },
-    // G-shape (root on 6th string, higher position) 
-    G: {
-        major: { strings: [3, 2, 0, 0, 0, 3], rootString: 6, rootFret: 3, name: 'G-shape' },
-        minor: { strings: [3, 1, 0, 0, 3, 3], rootString: 6, rootFret: 3, name: 'G-shape' },
-        '7': { strings: [3, 2, 0, 0, 0, 1], rootString: 6, rootFret: 3, name: 'G-shape' },
-        'm7': { strings: [3, 1, 0, 0, 3, 1], rootString: 6, rootFret: 3, name: 'G-shape' },
-        'maj7': { strings: [3, 2, 0, 0, 0, 2], rootString: 6, rootFret: 3, name: 'G-shape' },
-    },
+function updateScaleOverlay() {
+    const { chords, currentIndex, showScales } = state.progression;
+    const label = document.querySelector('.progression-scale');
+    
+    const chordScale = showScales && chords.length > 0
+        ? getChordScale(chords[currentIndex], state.currentKey || detectKey(chords)?.key)
+        : null;
+    if (!chordScale) {
+        clearScaleLayer();
+        if (label) label.textContent = '';
+        return;
+    }
+    
+    highlightScaleLayer(chordScale.root, chordScale.scale);
+    if (label) {
+        label.textContent = `${chordScale.name} over ${spellChordName(chords[currentIndex], state.currentKey)}`;
+    }
+}
+
+/**
+ * Toggle the chord-scale overlay
+ */
+function toggleScaleOverlay() {
+    state.progression.showScales = !state.progression.showScales;
+    document.getElementById('scale-overlay-toggle')?.classList.toggle('active', state.progression.showScales);
+    updateScaleOverlay();
+}
+
+// ================================
+// REHARMONIZATION
+// ================================
+
+/**
+ * Substitution types, in the order the panel lists them
+ */
+const SUBSTITUTION_TYPES = {
+    tritone: 'Tritone sub',
+    relative: 'Relative swap',
+    diatonicThird: 'Diatonic third',
+    secondary: 'Secondary dominant',
+    backdoor: 'Backdoor ii–V',
+    interchange: 'Modal interchange',
 };
 
 /**
- * Generate ALL possible voicings for a chord across the fretboard
- * @param {string} chordName - Chord name (e.g., 'Fmaj7', 'Bb', 'Am')
- * @param {number} maxFret - Maximum fret to consider (default: 15)
- * @returns {Array} Array of voicing objects with positions and metadata
+ * Suggest substitutions for one chord of a progression
+ * @param {string[]} chordNames - Progression chords
+ * @param {number} index - Chord to replace
+ * @param {Object} key - {tonic, mode}
+ * @returns {Array<Object>} {type, label, chords, description} entries; chords replace the original
  */
-function generateAllVoicings(chordName, maxFret = 15) {
+function getSubstitutions(chordNames, index, key) {
+    const chordName = chordNames[index];
     const parsed = parseChordName(chordName);
-    if (!parsed) return [];
-    
-    const { root, quality } = parsed;
-    const rootIndex = getNoteIndex(root);
-    const voicings = [];
-    
-    console.log(`generateAllVoicings: ${chordName} -> root=${root}, quality=${quality}`);
-    
-    // Map chord quality to CAGED shape quality
-    const qualityMap = {
-        'major': 'major',
-        'minor': 'minor',
-        '7': '7',
-        'm7': 'm7',
-        'maj7': 'maj7',
-        'dim': 'minor',  // Approximate with minor for now
-        'aug': 'major',  // Approximate
-        'sus4': 'major', // Approximate
-        'sus2': 'major', // Approximate
+    if (!isValidChord(parsed) || !key) return [];
+    
+    const rootIndex = getNoteIndex(parsed.root);
+    const triad = getTriadType(parsed.intervals);
+    const hasSeventh = parsed.intervals.some(interval => [10, 11].includes(interval));
+    const isDominant = triad === 'major' && parsed.intervals.includes(10);
+    const name = (root, suffix) => nameNumeralChord(root % 12, suffix, key);
+    const suggestions = [];
+    const add = (type, chords, description) => {
+        if (chords.some(chord => !chord) || (chords.length === 1 && chords[0] === chordName)) return;
+        if (suggestions.some(s => s.chords.join() === chords.join())) return;
+        suggestions.push({ type, label: SUBSTITUTION_TYPES[type], chords, description });
     };
     
-    const shapeQuality = qualityMap[quality] || 'major';
-    console.log(`  shapeQuality mapped to: ${shapeQuality}`);
+    // Tritone substitution: the dominant a b5 away shares the 3rd and 7th
+    if (isDominant) {
+        add('tritone', [name(rootIndex + 6, '7')], `shares the 3rd and 7th of ${chordName}`);
+    }
     
-    // Generate voicings from each CAGED shape
-    for (const [shapeName, shapes] of Object.entries(CAGED_SHAPES)) {
-        const shape = shapes[shapeQuality];
-        if (!shape) continue;
-        
-        // Calculate the base note for this shape
-        const baseRootString = shape.rootString;
-        const baseRootFret = shape.rootFret;
-        
-        // Get the note at the root position of the base shape
-        let baseNoteIndex;
-        if (shapeName === 'E') baseNoteIndex = getNoteIndex('E');
-        else if (shapeName === 'A') baseNoteIndex = getNoteIndex('A');
-        else if (shapeName === 'D') baseNoteIndex = getNoteIndex('D');
-        else if (shapeName === 'C') baseNoteIndex = getNoteIndex('C');
-        else if (shapeName === 'G') baseNoteIndex = getNoteIndex('G');
-        
-        // Calculate transpose amount to reach target root
-        const transpose = (rootIndex - baseNoteIndex + 12) % 12;
-        
-        // Generate voicing at this position
-        const positions = [];
-        let minFret = Infinity;
-        let maxFretUsed = 0;
-        let validVoicing = true;
-        
-        shape.strings.forEach((fret, index) => {
-            const stringNum = 6 - index;
-            if (fret >= 0) {
-                const actualFret = fret + transpose;
-                
-                // Skip if fret is beyond our limit
-                if (actualFret > maxFret) {
-                    validVoicing = false;
-                    return;
-                }
-                
-                const noteAtPosition = getNoteAtPosition(stringNum, actualFret);
-                const isRoot = getNoteIndex(noteAtPosition) === rootIndex;
-                
-                positions.push({
-                    string: stringNum,
-                    fret: actualFret,
-                    isRoot: isRoot
-                });
-                
-                if (actualFret > 0) {
-                    minFret = Math.min(minFret, actualFret);
-                    maxFretUsed = Math.max(maxFretUsed, actualFret);
-                }
-            }
+    // Relative major/minor
+    if (triad === 'major' && !isDominant) {
+        add('relative', [name(rootIndex + 9, hasSeventh ? 'm7' : 'm')], 'relative minor');
+    } else if (triad === 'minor') {
+        add('relative', [name(rootIndex + 3, hasSeventh ? 'maj7' : '')], 'relative major');
+    }
+    
+    // Diatonic chords a third above and below share two notes
+    const analysis = analyzeChordInKey(chordName, key);
+    const scale = key.mode === 'minor' ? 'naturalMinor' : 'major';
+    const diatonic = getDiatonicChords(key.tonic, scale);
+    const step = diatonic.findIndex(entry => entry.degree === analysis?.degree);
+    if (analysis?.type === 'diatonic' && step !== -1) {
+        [2, 5].forEach(offset => {
+            const entry = diatonic[(step + offset) % 7];
+            add('diatonicThird', [hasSeventh ? entry.seventh : entry.triad],
+                `${hasSeventh ? entry.seventhNumeral : entry.numeral} shares two notes`);
         });
+    }
+    
+    // Chords that lead into the next one
+    const nextName = chordNames[index + 1] ?? (chordNames.length > 1 ? chordNames[0] : null);
+    const next = nextName ? parseChordName(nextName) : null;
+    if (isValidChord(next)) {
+        const nextRoot = getNoteIndex(next.root);
+        const nextTriad = getTriadType(next.intervals);
+        add('secondary', [name(nextRoot + 7, '7')], `V7 of ${nextName}`);
         
-        if (validVoicing && positions.length >= 3) {
-            const avgFret = positions.reduce((sum, p) => sum + p.fret, 0) / positions.length;
-            
-            voicings.push({
-                chordName,
-                shapeName: shape.name,
-                positions,
-                baseFret: minFret === Infinity ? 0 : minFret,
-                avgFret: avgFret,
-                fretSpan: maxFretUsed - (minFret === Infinity ? 0 : minFret),
-            });
+        if (nextTriad === 'major' && !next.intervals.includes(10)) {
+            add('backdoor', [name(nextRoot + 5, 'm7'), name(nextRoot + 10, '7')], `iv7 – bVII7 into ${nextName}`);
         }
     }
     
-    // Sort by average fret position
-    voicings.sort((a, b) => a.avgFret - b.avgFret);
+    // Borrow the chord on the same step of the parallel key
+    if (step !== -1 && analysis?.type === 'diatonic') {
+        const parallel = getDiatonicChords(key.tonic, key.mode === 'minor' ? 'major' : 'naturalMinor')[step];
+        const parallelMode = key.mode === 'minor' ? 'major' : 'minor';
+        add('interchange', [hasSeventh ? parallel.seventh : parallel.triad],
+            `${hasSeventh ? parallel.seventhNumeral : parallel.numeral} from ${key.tonic} ${parallelMode}`);
+    }
     
-    return voicings;
+    return suggestions;
 }
 
 /**
- * Calculate the "movement cost" between two voicings
- * Lower cost = easier transition
- * @param {Object} voicing1 - First voicing
- * @param {Object} voicing2 - Second voicing
- * @returns {number} Movement cost
+ * Replace a progression chord with a substitution and re-optimize
+ * @param {number} index - Chord to replace
+ * @param {string[]} chords - Replacement chords
  */
-function calculateMovementCost(voicing1, voicing2) {
-    // Primary cost: difference in average fret position
-    const fretDiff = Math.abs(voicing1.avgFret - voicing2.avgFret);
-    
-    // Secondary cost: difference in fret span (prefer consistent hand positions)
-    const spanDiff = Math.abs(voicing1.fretSpan - voicing2.fretSpan);
-    
-    // Bonus: same shape type is easier
-    const shapeBonus = voicing1.shapeName === voicing2.shapeName ? -1 : 0;
-    
-    return fretDiff * 2 + spanDiff * 0.5 + shapeBonus;
+function applySubstitution(index, chords) {
+    const current = state.progression.chords;
+    if (index < 0 || index >= current.length || chords.length === 0) return;
+    
+    state.progression.chords = [...current.slice(0, index), ...chords, ...current.slice(index + 1)];
+    // Pins after the substitution move with their chords; the melody note stays on the first substitute
+    const { pinned, melody } = state.progression;
+    state.progression.pinned = [...pinned.slice(0, index), ...chords.map(() => null), ...pinned.slice(index + 1)];
+    state.progression.melody = melody.length > index
+        ? [...melody.slice(0, index), ...chords.map((_, i) => i === 0 ? melody[index] : null), ...melody.slice(index + 1)]
+        : melody;
+    refreshProgressionVoicings();
 }
 
 /**
- * Find optimal voicings for a chord progression to minimize hand movement
- * @param {Array<string>} chordNames - Array of chord names
- * @param {Object} options - Optimization options
- * @param {number} options.preferredFret - Preferred fret position (default: 5)
- * @param {number} options.fretRange - How far from preferred to search (default: 7)
- * @returns {Array} Array of optimized voicings
+ * Show a substitution on the fretboard near the current hand position
+ * @param {string[]} chords - Substitute chords (the first one is shown)
  */
-function optimizeProgression(chordNames, options = {}) {
-    const { preferredFret = 5, fretRange = 7 } = options;
-    
-    if (chordNames.length === 0) return [];
-    
-    // Generate all voicings for each chord
-    const allVoicings = chordNames.map(chord => {
-        const voicings = generateAllVoicings(chord);
-        // Filter to preferred fret range
-        return voicings.filter(v => 
-            v.avgFret >= preferredFret - fretRange && 
-            v.avgFret <= preferredFret + fretRange
-        );
-    });
-    
-    // If any chord has no voicings in range, expand search
-    for (let i = 0; i < allVoicings.length; i++) {
-        if (allVoicings[i].length === 0) {
-            allVoicings[i] = generateAllVoicings(chordNames[i]);
-        }
+function previewSubstitution(chords) {
+    const current = state.progression.voicings[state.progression.currentIndex];
+    const preferredFret = current ? Math.round(current.avgFret) - state.capo : undefined;
+    const { family, constraints } = state.progression;
+    const [voicing] = optimizeProgression(chords, { family, constraints, preferredFret });
+    if (voicing) {
+        displayVoicing(voicing);
     }
-    
-    // Use dynamic programming to find optimal path
-    const n = chordNames.length;
-    
-    if (n === 1) {
-        // Single chord - pick the one closest to preferred fret
-        const closest = allVoicings[0].reduce((best, v) => 
-            Math.abs(v.avgFret - preferredFret) < Math.abs(best.avgFret - preferredFret) ? v : best
-        );
-        return [closest];
+}
+
+/**
+ * Build the substitution panel for the current progression chord
+ * @returns {HTMLElement} Reharmonization panel
+ */
+function renderReharmPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'reharm-panel';
+    
+    const { chords, currentIndex } = state.progression;
+    const key = state.currentKey || detectKey(chords)?.key;
+    const suggestions = getSubstitutions(chords, currentIndex, key);
+    const chordLabel = spellChordName(chords[currentIndex], state.currentKey);
+    
+    panel.innerHTML = `<span class="chord-id-label">Substitutes for ${chordLabel}</span>`;
+    if (suggestions.length === 0) {
+        panel.innerHTML += '<span class="reharm-empty">No substitutions for this chord</span>';
     }
     
-    // For each voicing of each chord, track the minimum cost to reach it
-    const dp = allVoicings.map(voicings => 
-        voicings.map(() => ({ cost: Infinity, prev: -1 }))
-    );
-    
-    // Initialize first chord - cost based on distance from preferred fret
-    allVoicings[0].forEach((v, i) => {
-        dp[0][i].cost = Math.abs(v.avgFret - preferredFret);
+    suggestions.forEach(suggestion => {
+        const button = document.createElement('button');
+        button.className = `reharm-suggestion ${suggestion.type}`;
+        button.title = `${suggestion.description} (click to apply)`;
+        button.innerHTML = `
+            <span class="reharm-type">${suggestion.label}</span>
+            <span class="reharm-chords">${suggestion.chords.join(' – ')}</span>
+        `;
+        
+        // Hover previews, leaving restores the current voicing
+        button.addEventListener('mouseenter', () => previewSubstitution(suggestion.chords));
+        button.addEventListener('focus', () => previewSubstitution(suggestion.chords));
+        button.addEventListener('mouseleave', () => {
+            displayVoicing(state.progression.voicings[state.progression.currentIndex]);
+            updateScaleOverlay();
+        });
+        button.addEventListener('click', () => applySubstitution(currentIndex, suggestion.chords));
+        panel.appendChild(button);
     });
     
-    // Fill DP table
-    for (let i = 1; i < n; i++) {
-        for (let j = 0; j < allVoicings[i].length; j++) {
-            for (let k = 0; k < allVoicings[i - 1].length; k++) {
-                const moveCost = calculateMovementCost(allVoicings[i - 1][k], allVoicings[i][j]);
-                const totalCost = dp[i - 1][k].cost + moveCost;
-                
-                if (totalCost < dp[i][j].cost) {
-                    dp[i][j].cost = totalCost;
-                    dp[i][j].prev = k;
-                }
-            }
-        }
+    return panel;
+}
+
+/**
+ * Refresh the substitution panel after the current chord changed
+ */
+function updateReharmPanel() {
+    const existing = document.querySelector('.reharm-panel');
+    if (existing && state.progression.showReharm) {
+        existing.replaceWith(renderReharmPanel());
+    }
+}
+
+// ================================
+// OPTIMIZER CONSTRAINTS & PINS
+// ================================
+
+/**
+ * Extra cost for changing shape between chords when the shape is to be kept
+ */
+const SHAPE_CHANGE_COST = 4;
+
+/**
+ * Count the strings a voicing lets ring open (at the capo)
+ * @param {Object} voicing - Voicing object
+ * @returns {number} Open strings
+ */
+function countOpenStrings(voicing) {
+    return voicing.positions.filter(pos => pos.fret === (voicing.capo || 0)).length;
+}
+
+/**
+ * Keep the voicings that meet the hard optimizer constraints
+ * @param {Array} voicings - Voicing objects
+ * @param {Object} constraints - See DEFAULT_CONSTRAINTS
+ * @returns {Array} Voicings that meet every hard constraint (may be empty)
+ */
+function applyVoicingConstraints(voicings, constraints) {
+    const { minFret, maxFret, avoidBarres, topString } = { ...DEFAULT_CONSTRAINTS, ...constraints };
+    
+    return voicings.filter(voicing => {
+        const fretted = voicing.positions.filter(pos => pos.fret > (voicing.capo || 0)).map(pos => pos.fret);
+        if (minFret !== null && fretted.some(fret => fret < minFret)) return false;
+        if (maxFret !== null && fretted.some(fret => fret > maxFret)) return false;
+        if (avoidBarres && assignFingering(voicing.frets, voicing.capo || 0).barres.length > 0) return false;
+        if (topString !== null && Math.min(...voicing.positions.map(pos => pos.string)) !== topString) return false;
+        return true;
+    });
+}
+
+/**
+ * Identify the instrument and tuning a pinned voicing was found for
+ * @returns {string} Tuning signature
+ */
+function getTuningSignature() {
+    return `${state.instrument}:${CONFIG.stringNotes.join(' ')}`;
+}
+
+/**
+ * Get the pinned voicing for each progression chord
+ * Pins no longer matching their chord, the tuning or the capo are ignored.
+ * @returns {Array<Object|null>} Pinned voicing per chord index
+ */
+function getPinnedVoicings() {
+    const { chords, pinned } = state.progression;
+    const tuning = getTuningSignature();
+    
+    return chords.map((chord, index) => {
+        const pin = pinned[index];
+        return pin && pin.voicing.chordName === chord && pin.tuning === tuning &&
+            (pin.voicing.capo || 0) === state.capo ? pin.voicing : null;
+    });
+}
+
+/**
+ * Options for optimizeProgression from the progression panel
+ * @returns {Object} {family, optimizeFor, constraints, melody, pinned}
+ */
+function getProgressionOptimizerOptions() {
+    const { family, optimizeFor, constraints, melody } = state.progression;
+    return { family, optimizeFor, constraints, melody, pinned: getPinnedVoicings() };
+}
+
+/**
+ * Lock a voicing on a progression chord and solve the rest of the path around it
+ * @param {number} index - Chord index
+ * @param {Object|null} voicing - Voicing to pin (null unpins)
+ */
+function pinVoicing(index, voicing) {
+    const pinned = [...state.progression.pinned];
+    pinned[index] = voicing ? { voicing, tuning: getTuningSignature() } : null;
+    state.progression.pinned = pinned;
+    refreshProgressionVoicings();
+}
+
+/**
+ * Pin the voicing a chord currently shows, or release its pin
+ * @param {number} index - Chord index
+ */
+function togglePinnedVoicing(index) {
+    const pinned = getPinnedVoicings()[index];
+    pinVoicing(index, pinned ? null : state.progression.voicings[index]);
+}
+
+/**
+ * Step the current chord to its next or previous voicing along the neck and pin it
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function stepProgressionVoicing(direction) {
+    const { chords, voicings, currentIndex, family, constraints } = state.progression;
+    const chord = chords[currentIndex];
+    if (!chord) return;
+    
+    let candidates = generateAllVoicings(chord, 15 + state.capo, { family });
+    if (candidates.length === 0) {
+        candidates = generateAllVoicings(chord);
     }
+    const constrained = applyVoicingConstraints(candidates, constraints);
+    if (constrained.length > 0) {
+        candidates = constrained;
+    }
+    if (candidates.length === 0) return;
+    
+    const shown = voicings[currentIndex]?.frets.join(',');
+    const position = candidates.findIndex(v => v.frets.join(',') === shown);
+    const next = position === -1
+        ? (direction > 0 ? 0 : candidates.length - 1)
+        : (position + direction + candidates.length) % candidates.length;
+    pinVoicing(currentIndex, candidates[next]);
+}
+
+/**
+ * Change one optimizer constraint and re-solve the progression
+ * @param {string} name - Key of DEFAULT_CONSTRAINTS
+ * @param {*} value - New value
+ */
+function setProgressionConstraint(name, value) {
+    if (!(name in DEFAULT_CONSTRAINTS)) return;
+    state.progression.constraints = { ...state.progression.constraints, [name]: value };
+    refreshProgressionVoicings();
+}
+
+/**
+ * Build the pin and constraint panel for the progression
+ * @returns {HTMLElement} Constraint panel
+ */
+function renderConstraintPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'constraint-panel';
+    
+    const { chords, currentIndex, constraints } = state.progression;
+    const pinCount = getPinnedVoicings().filter(Boolean).length;
+    const fretInput = (name, label) => `
+        <input type="number" class="constraint-fret" data-constraint="${name}" min="0" max="${CONFIG.frets}"
+            value="${constraints[name] ?? ''}" placeholder="${label}" aria-label="${label} fret">
+    `;
     
-    // Backtrack to find optimal path
-    const result = [];
-    let minCost = Infinity;
-    let lastIndex = 0;
+    panel.innerHTML = `
+        <div class="constraint-group">
+            <span class="chord-id-label">Voicing for ${spellChordName(chords[currentIndex], state.currentKey)}</span>
+            <button class="prog-btn" id="prev-prog-voicing" title="Previous voicing (pins it)">◄</button>
+            <button class="prog-btn" id="next-prog-voicing" title="Next voicing (pins it)">►</button>
+            <button class="prog-btn" id="clear-pins" ${pinCount === 0 ? 'disabled' : ''}>Clear pins (${pinCount})</button>
+        </div>
+        <div class="constraint-group">
+            <label class="voicing-filter-toggle">
+                <input type="checkbox" data-constraint="preferOpen" ${constraints.preferOpen ? 'checked' : ''}>
+                Prefer open chords
+            </label>
+            <label class="voicing-filter-toggle">
+                <input type="checkbox" data-constraint="avoidBarres" ${constraints.avoidBarres ? 'checked' : ''}>
+                Avoid barres
+            </label>
+            <label class="voicing-filter-toggle">
+                <input type="checkbox" data-constraint="sameShape" ${constraints.sameShape ? 'checked' : ''}>
+                Keep the same shape
+            </label>
+        </div>
+        <div class="constraint-group">
+            <span class="tuning-label">Frets</span>
+            ${fretInput('minFret', 'From')}
+            <span class="tuning-label">–</span>
+            ${fretInput('maxFret', 'To')}
+            <select class="voicing-filter" data-constraint="topString" aria-label="Top note on string">
+                <option value="">Top note: any string</option>
+                ${Array.from({ length: CONFIG.strings }, (_, i) => i + 1).map(string =>
+                    `<option value="${string}" ${constraints.topString === string ? 'selected' : ''}>Top note: string ${string}</option>`
+                ).join('')}
+            </select>
+        </div>
+    `;
     
-    // Find best ending voicing
-    dp[n - 1].forEach((v, i) => {
-        if (v.cost < minCost) {
-            minCost = v.cost;
-            lastIndex = i;
-        }
+    panel.querySelector('#prev-prog-voicing').addEventListener('click', () => stepProgressionVoicing(-1));
+    panel.querySelector('#next-prog-voicing').addEventListener('click', () => stepProgressionVoicing(1));
+    panel.querySelector('#clear-pins').addEventListener('click', () => {
+        state.progression.pinned = [];
+        refreshProgressionVoicings();
+    });
+    panel.querySelectorAll('input[type="checkbox"][data-constraint]').forEach(input => {
+        input.addEventListener('change', () => setProgressionConstraint(input.dataset.constraint, input.checked));
+    });
+    panel.querySelectorAll('.constraint-fret, select[data-constraint]').forEach(input => {
+        input.addEventListener('change', () => {
+            const value = input.value === '' ? null : Number(input.value);
+            setProgressionConstraint(input.dataset.constraint, Number.isNaN(value) ? null : value);
+        });
     });
     
-    // Backtrack
-    for (let i = n - 1; i >= 0; i--) {
-        result.unshift(allVoicings[i][lastIndex]);
-        lastIndex = dp[i][lastIndex].prev;
-    }
-    
-    return result;
+    return panel;
 }
 
 // ================================
-// PROGRESSION PARSING & MANAGEMENT
+// ALTERNATIVE PATHS
 // ================================
 
 /**
- * Check if input is a chord progression (multiple chords)
- * @param {string} input - User input
- * @returns {boolean} True if progression detected
+ * Number of optimizer paths listed in the paths panel
  */
-function isProgression(input) {
-    if (!input) return false;
-    // Detect comma, dash, or multiple spaces as separators
-    return /[,\-]/.test(input) || input.trim().split(/\s+/).length > 1;
+const PATH_COUNT = 5;
+
+/**
+ * Transition cost parts shown in the paths panel, in display order
+ */
+const COST_PARTS = {
+    fretMovement: 'Fret movement',
+    spanChange: 'Span change',
+    shapeBonus: 'Shape bonus',
+    voiceLeading: 'Voice leading',
+    shapeChange: 'Shape change',
+    hold: 'Playability',
+};
+
+/**
+ * Format a cost for display with one decimal and a true minus sign
+ * @param {number} value - Cost
+ * @returns {string} e.g. "2.5", "−1.0"
+ */
+function formatCost(value) {
+    const rounded = Math.round(value * 10) / 10;
+    return `${rounded < 0 ? '−' : ''}${Math.abs(rounded).toFixed(1)}`;
 }
 
 /**
- * Parse a progression string into chord names
- * @param {string} input - e.g., "Fmaj7, Bb, Am, Dm7" or "Fmaj7 - Bb - Am - Dm7"
- * @returns {Array<string>} Array of chord names
+ * Run the optimizer for a progression, keeping its best paths for the paths panel
+ * @param {Array<string>} chords - Chord names
+ * @param {Object} options - Extra optimizer options on top of the progression's own
+ * @returns {Array<Object>} Voicings of the cheapest path
  */
-function parseProgression(input) {
-    if (!input) return [];
-    
-    // Split by comma, dash, or multiple spaces
-    const parts = input.split(/[,\-]+|\s{2,}/).map(s => s.trim()).filter(Boolean);
-    
-    // If no separators found, try splitting by single spaces (but validate each as chord)
-    if (parts.length === 1) {
-        const spaceParts = input.trim().split(/\s+/);
-        if (spaceParts.length > 1 && spaceParts.every(p => parseChordName(p))) {
-            return spaceParts;
-        }
-    }
-    
-    // Validate each part is a valid chord
-    return parts.filter(p => parseChordName(p));
+function solveProgressionPaths(chords, options = {}) {
+    state.progression.paths = findProgressionPaths(chords, { ...getProgressionOptimizerOptions(), ...options }, PATH_COUNT);
+    return state.progression.paths[0]?.voicings || [];
 }
 
 /**
- * Load a chord progression and optimize voicings
- * @param {Array<string>} chords - Array of chord names
- * @param {Object} options - Optimization options
+ * Load one of the optimizer's paths into the progression
+ * @param {Array<Object>} voicings - Voicing per chord
  */
-function loadProgression(chords, options = {}) {
-    if (!chords || chords.length === 0) return;
+function useProgressionPath(voicings) {
+    if (voicings.length !== state.progression.chords.length) return;
     
-    // Optimize the progression
-    const optimizedVoicings = optimizeProgression(chords, options);
+    state.progression.voicings = voicings;
+    renderProgressionBar();
+    goToChord(state.progression.currentIndex);
+}
+
+/**
+ * Build the panel listing the best voicing paths with their per-transition costs
+ * @returns {HTMLElement} Paths panel
+ */
+function renderPathsPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'paths-panel';
     
-    // Update state
-    state.progression.chords = chords;
-    state.progression.voicings = optimizedVoicings;
-    state.progression.currentIndex = 0;
-    state.progression.isPlaying = false;
+    const { voicings, paths } = state.progression;
+    const signature = list => list.map(v => v.frets.join(',')).join('|');
+    const current = signature(voicings);
+    const chordLabel = voicing => spellChordName(voicing.chordName, state.currentKey);
+    const fretLabel = voicing => voicing.baseFret > 0 ? `fret ${voicing.baseFret}` : 'open';
     
-    // Display progression UI
-    renderProgressionBar();
+    panel.innerHTML = `<span class="chord-id-label">Best ${paths.length} voicing paths (lower cost is easier)</span>`;
     
-    // Show first chord
-    if (optimizedVoicings.length > 0) {
-        displayVoicing(optimizedVoicings[0]);
-    }
+    paths.forEach((path, rank) => {
+        const option = document.createElement('div');
+        option.className = `path-option ${signature(path.voicings) === current ? 'active' : ''}`;
+        
+        const transitions = path.transitions.map(step => `
+            <div class="path-transition">
+                <span class="path-step">${chordLabel(step.from)} → ${chordLabel(step.to)}</span>
+                ${Object.entries(COST_PARTS)
+                    .filter(([part]) => step[part] !== 0 || part === 'fretMovement')
+                    .map(([part, label]) => `<span class="path-cost-part ${part}" title="${label}">${label.toLowerCase()} ${formatCost(step[part])}</span>`)
+                    .join('')}
+                <span class="path-step-total">= ${formatCost(step.total)}</span>
+            </div>
+        `).join('');
+        
+        option.innerHTML = `
+            <div class="path-header">
+                <span class="path-rank">#${rank + 1}</span>
+                <span class="path-chords">${path.voicings.map(v =>
+                    `${chordLabel(v)} <small>${fretLabel(v)}</small>`
+                ).join(' → ')}</span>
+                <span class="path-cost" title="Start ${formatCost(path.start)} + transitions">Cost ${formatCost(path.cost)}</span>
+                <button class="prog-btn path-use">${signature(path.voicings) === current ? 'Loaded' : 'Use'}</button>
+            </div>
+            <div class="path-transitions">${transitions}</div>
+        `;
+        option.querySelector('.path-use').addEventListener('click', () => useProgressionPath(path.voicings));
+        panel.appendChild(option);
+    });
     
-    console.log('Progression loaded:', chords);
-    console.log('Optimized voicings:', optimizedVoicings.map(v => 
-        `${v.chordName} @ fret ${v.baseFret} (${v.shapeName})`
-    ));
+    return panel;
 }
 
+// ================================
+// CHORD MELODY
+// ================================
+
 /**
- * Display a specific voicing on the fretboard
- * @param {Object} voicing - Voicing object with positions
+ * A melody note, with an optional octave (C4 = middle C)
  */
-function displayVoicing(voicing) {
-    if (!voicing || !voicing.positions) return;
+const MELODY_NOTE = /^([A-Ga-g])(#{1,2}|b{1,2})?(-?\d)?$/;
+
+/**
+ * Parse a melody note such as "E", "F#4" or "bb3"
+ * @param {string} token - Note name with optional octave
+ * @returns {Object|null} {name, pitchClass, midi} (midi null = any octave), or null
+ */
+function parseMelodyNote(token) {
+    const match = MELODY_NOTE.exec((token || '').trim());
+    if (!match) return null;
     
-    state.currentChord = voicing.chordName;
-    highlightChord(voicing.positions);
+    const [, letter, accidentals = '', octave] = match;
+    const note = letter.toUpperCase() + accidentals;
+    return {
+        name: note + (octave ?? ''),
+        pitchClass: getNoteIndex(note),
+        midi: octave !== undefined ? noteToMidi(note + octave) : null,
+    };
 }
 
 /**
- * Navigate to a specific chord in the progression
- * @param {number} index - Chord index
+ * Check whether a voicing's highest string sounds the melody note as its top voice
+ * @param {Object} voicing - Voicing object
+ * @param {Object} topNote - Result of parseMelodyNote
+ * @returns {boolean} True when the melody note is on top
  */
-function goToChord(index) {
-    const { voicings } = state.progression;
-    if (index < 0 || index >= voicings.length) return;
+function hasTopNote(voicing, topNote) {
+    const top = voicing.positions.reduce((high, pos) => pos.string < high.string ? pos : high);
+    const midi = getMidiAtPosition(top.string, top.fret);
+    return midi % 12 === topNote.pitchClass &&
+        (topNote.midi === null || midi === topNote.midi) &&
+        voicing.positions.every(pos => getMidiAtPosition(pos.string, pos.fret) <= midi);
+}
+
+/**
+ * Pair chords with melody notes and check both
+ * @param {string[]} chords - Chord names
+ * @param {string[]} tokens - Melody note per chord
+ * @returns {Object} {chords, notes} or {error}
+ */
+function buildChordMelody(chords, tokens) {
+    const badChord = chords.find(chord => !isValidChord(parseChordName(chord)));
+    if (badChord) return { error: `"${badChord}" is not a chord` };
     
-    state.progression.currentIndex = index;
-    displayVoicing(voicings[index]);
-    updateProgressionUI();
+    const notes = tokens.map(parseMelodyNote);
+    const badNote = tokens.find((_, i) => !notes[i]);
+    if (badNote !== undefined) return { error: `"${badNote}" is not a melody note (e.g. E or E4)` };
+    
+    return { chords, notes };
 }
 
 /**
- * Go to next chord in progression
+ * Parse a chord-melody search
+ * Accepts "Cmaj7 top E4", "Cmaj7 with E on top", "C:E Am:C F:A G:B"
+ * and "melody E C A B over C Am F G".
+ * @param {string} input - Search query
+ * @returns {Object|null} {chords, notes}, {error}, or null when the query is not a chord melody
  */
-function nextChord() {
-    const { currentIndex, voicings, loopEnabled } = state.progression;
-    let nextIndex = currentIndex + 1;
+function parseMelodyQuery(input) {
+    const text = (input || '').trim();
+    
+    // A single chord with its top note - anything that does not fit is left to the other searches
+    const single = /^(\S+)\s+(?:top\s+(\S+)|with\s+(\S+)\s+on\s+top)$/i.exec(text);
+    if (single) {
+        const melody = buildChordMelody([single[1]], [single[2] || single[3]]);
+        return melody.error ? null : melody;
+    }
     
-    if (nextIndex >= voicings.length) {
-        nextIndex = loopEnabled ? 0 : voicings.length - 1;
+    const paired = /^melody\s+(.+?)\s+over\s+(.+)$/i.exec(text);
+    if (paired) {
+        const tokens = paired[1].split(/[\s,]+/).filter(Boolean);
+        const chords = parseProgression(paired[2]);
+        if (tokens.length !== chords.length) {
+            return { error: `${tokens.length} melody notes for ${chords.length} chords - give one note per chord` };
+        }
+        return buildChordMelody(chords, tokens);
     }
     
-    goToChord(nextIndex);
+    const tokens = text.split(/[\s,]+/).filter(Boolean);
+    if (tokens.length > 0 && tokens.every(token => /^[^:]+:[^:]+$/.test(token))) {
+        const pairs = tokens.map(token => token.split(':'));
+        return buildChordMelody(pairs.map(([chord]) => chord), pairs.map(([, note]) => note));
+    }
+    
+    return null;
 }
 
 /**
- * Go to previous chord in progression
+ * Get every voicing of a chord with a melody note on top
+ * @param {string} chordName - Chord name
+ * @param {Object} topNote - Result of parseMelodyNote
+ * @param {Object} options - Voicing search options (see generateAllVoicings)
+ * @returns {Array} Voicing objects ordered along the neck
  */
-function prevChord() {
-    const { currentIndex, voicings, loopEnabled } = state.progression;
-    let prevIndex = currentIndex - 1;
-    
-    if (prevIndex < 0) {
-        prevIndex = loopEnabled ? voicings.length - 1 : 0;
+function findMelodyVoicings(chordName, topNote, options = {}) {
+    return generateAllVoicings(chordName, CONFIG.frets, { ...options, topNote });
+}
+
+/**
+ * Show chord-melody voicings: one chord opens the voicing browser with the note on top,
+ * a sequence loads as a progression optimized with each melody note on top
+ * @param {string[]} chords - Chord names
+ * @param {Array<Object>} notes - Melody note per chord (see parseMelodyNote)
+ */
+function loadChordMelody(chords, notes) {
+    if (chords.length === 1) {
+        state.currentChord = chords[0];
+        if (!openVoicingBrowser(chords[0], notes[0])) {
+            console.warn(`No voicing of ${chords[0]} has ${notes[0].name} on top`);
+        }
+        return;
     }
     
-    goToChord(prevIndex);
+    loadProgression(chords, { melody: notes });
+}
+
+/**
+ * Transpose melody notes, spelling them in the new key
+ * @param {Array<Object|null>} notes - Melody notes (see parseMelodyNote)
+ * @param {number} semitones - Distance to move (negative = down)
+ * @param {Object|null} key - Target key for spelling
+ * @returns {Array<Object|null>} Transposed notes
+ */
+function transposeMelody(notes, semitones, key) {
+    return notes.map(note => {
+        if (!note) return note;
+        
+        const pitchClass = ((note.pitchClass + semitones) % 12 + 12) % 12;
+        const spelled = key ? spellNoteInKey(pitchClass, key) : getNoteName(pitchClass);
+        if (note.midi === null) {
+            return { name: spelled, pitchClass, midi: null };
+        }
+        
+        // The octave number follows the letter, so Cb and B# sit across the boundary
+        const midi = note.midi + semitones;
+        const octave = Math.floor(midi / 12) - 1 + (spelled.startsWith('Cb') ? 1 : spelled.startsWith('B#') ? -1 : 0);
+        return { name: `${spelled}${octave}`, pitchClass, midi };
+    });
 }
 
 // ================================
-// PROGRESSION UI
+// CHORD BOXES
 // ================================
 
-let playIntervalId = null;
+/**
+ * Chord box dimensions in pixels: string and fret spacing, dot radius,
+ * and whether finger numbers fit inside the dots
+ */
+const CHORD_BOX_SIZES = {
+    small: { string: 7, fret: 8, dot: 2.6, fingers: false },
+    medium: { string: 10, fret: 12, dot: 4, fingers: false },
+    large: { string: 30, fret: 36, dot: 12, fingers: true },
+};
 
 /**
- * Render the progression bar UI
+ * Best voicing per chord name and playing setup, so search suggestions draw boxes without a new search
  */
-function renderProgressionBar() {
-    // Remove existing progression bar
-    const existing = document.querySelector('.progression-container');
-    if (existing) existing.remove();
+const chordBoxVoicings = new Map();
+
+/**
+ * Get the voicing a chord box shows for a chord name
+ * @param {string} chordName - Chord name
+ * @returns {Object|null} Easiest voicing for the current instrument, tuning, capo and hand profile
+ */
+function getChordBoxVoicing(chordName) {
+    const { level, maxStretch } = state.handProfile;
+    const cacheKey = `${chordName}|${getTuningSignature()}|${state.capo}|${level}:${maxStretch}`;
+    if (!chordBoxVoicings.has(cacheKey)) {
+        chordBoxVoicings.set(cacheKey, findBestVoicing(generateAllVoicings(chordName)));
+    }
+    return chordBoxVoicings.get(cacheKey);
+}
+
+/**
+ * Draw a voicing as a vertical chord box
+ * Strings run low to high from left to right under the nut (or the capo), with X/O marks
+ * above it, a base-fret label for shapes up the neck, barres and finger numbers.
+ * @param {Object} voicing - Voicing object (frets, positions, baseFret, fretSpan, capo)
+ * @param {Object} options - Drawing options
+ * @param {string} options.size - Key of CHORD_BOX_SIZES (default: 'medium')
+ * @param {boolean} options.fingers - Label dots with fingers (default: the size's setting)
+ * @param {string|null} options.title - Chord name drawn above the box
+ * @returns {SVGElement} Chord box
+ */
+function renderChordBox(voicing, options = {}) {
+    const { size = 'medium', title = null } = options;
+    const dims = CHORD_BOX_SIZES[size] || CHORD_BOX_SIZES.medium;
+    const showFingers = options.fingers ?? dims.fingers;
+    
+    // Draw relative to the capo so capoed shapes read like their open originals
+    const capo = voicing.capo || 0;
+    const frets = voicing.frets.map(f => f < 0 ? f : f - capo);
+    const fretCount = Math.max(4, voicing.fretSpan + 1);
+    const maxFret = Math.max(...frets);
+    const startFret = maxFret <= fretCount ? 1 : voicing.baseFret - capo;
+    const fingering = assignFingering(voicing.frets, capo);
+    
+    // Room for the title, the X/O marks and the base-fret label
+    const titleHeight = title ? dims.fret * 1.2 : 0;
+    const markHeight = dims.fret * 0.9;
+    const left = dims.string * 1.4;
+    const top = titleHeight + markHeight;
+    const width = left + (frets.length - 1) * dims.string + dims.string;
+    const height = top + fretCount * dims.fret + dims.fret * 0.4;
+    const x = index => left + index * dims.string;
+    const y = fret => top + (fret - startFret + 0.5) * dims.fret;
+    
+    const box = document.createElementNS(SVG_NS, 'svg');
+    box.setAttribute('class', `chord-box ${size}`);
+    box.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    box.setAttribute('width', width);
+    box.setAttribute('height', height);
+    box.setAttribute('role', 'img');
+    box.setAttribute('aria-label', `${voicing.chordName || 'Chord'}: ${voicing.frets.map(f => f < 0 ? 'x' : f).join(' ')}`);
+    
+    const add = (tag, attributes, text = null) => {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        if (text !== null) element.textContent = text;
+        box.appendChild(element);
+        return element;
+    };
     
-    const { chords, voicings, currentIndex } = state.progression;
-    if (chords.length === 0) return;
+    if (title) {
+        add('text', { class: 'chord-box-title', x: width / 2, y: titleHeight * 0.8, 'text-anchor': 'middle' }, title);
+    }
     
-    // Create container
-    const container = document.createElement('div');
-    container.className = 'progression-container glass-panel';
+    // Frets across, strings down, and the nut when the shape starts at the first fret
+    for (let row = 0; row <= fretCount; row++) {
+        const lineY = top + row * dims.fret;
+        add('line', { class: row === 0 && startFret === 1 ? 'chord-box-nut' : 'chord-box-fret',
+            x1: x(0), y1: lineY, x2: x(frets.length - 1), y2: lineY });
+    }
+    frets.forEach((_, index) => {
+        add('line', { class: 'chord-box-string', x1: x(index), y1: top, x2: x(index), y2: top + fretCount * dims.fret });
+    });
     
-    // Create chord chips
-    const chipsContainer = document.createElement('div');
-    chipsContainer.className = 'progression-chips';
+    if (startFret > 1) {
+        add('text', { class: 'chord-box-base', x: left - dims.string * 0.5, y: y(startFret), 'text-anchor': 'end',
+            'dominant-baseline': 'central' }, `${startFret}fr`);
+    }
     
-    chords.forEach((chord, index) => {
-        const chip = document.createElement('button');
-        chip.className = `progression-chip ${index === currentIndex ? 'active' : ''}`;
-        chip.innerHTML = `
-            <span class="chip-number">${index + 1}</span>
-            <span class="chip-chord">${chord}</span>
-            ${voicings[index] ? `<span class="chip-fret">Fret ${voicings[index].baseFret}</span>` : ''}
-        `;
-        chip.addEventListener('click', () => goToChord(index));
-        chipsContainer.appendChild(chip);
+    fingering.barres.forEach(barre => {
+        add('rect', { class: 'chord-box-barre',
+            x: x(barre.from) - dims.dot, y: y(barre.fret - capo) - dims.dot,
+            width: x(barre.to) - x(barre.from) + dims.dot * 2, height: dims.dot * 2, rx: dims.dot });
+    });
+    
+    frets.forEach((fret, index) => {
+        if (fret <= 0) {
+            add('text', { class: 'chord-box-mark', x: x(index), y: top - markHeight * 0.3, 'text-anchor': 'middle' },
+                fret < 0 ? '×' : '○');
+            return;
+        }
         
-        // Add arrow between chips
-        if (index < chords.length - 1) {
-            const arrow = document.createElement('span');
-            arrow.className = 'chip-arrow';
-            arrow.textContent = '→';
-            chipsContainer.appendChild(arrow);
+        const stringNum = frets.length - index;
+        const isRoot = voicing.positions.some(p => p.string === stringNum && p.isRoot);
+        add('circle', { class: `chord-box-dot ${isRoot ? 'root' : ''}`, cx: x(index), cy: y(fret), r: dims.dot });
+        
+        const finger = fingering.fingers[index];
+        if (showFingers && finger !== null) {
+            add('text', { class: 'chord-box-finger', x: x(index), y: y(fret), 'text-anchor': 'middle',
+                'dominant-baseline': 'central' }, finger);
         }
     });
     
-    container.appendChild(chipsContainer);
+    if (capo > 0 && size !== 'small') {
+        add('text', { class: 'chord-box-capo', x: width / 2, y: height - 1, 'text-anchor': 'middle' }, `capo ${capo}`);
+    }
     
-    // Create controls
-    const controls = document.createElement('div');
-    controls.className = 'progression-controls';
-    controls.innerHTML = `
-        <button class="prog-btn" id="prev-chord" title="Previous (←)">◄ Prev</button>
-        <button class="prog-btn play-btn" id="play-pause" title="Play/Pause (Space)">▶ Play</button>
-        <button class="prog-btn" id="next-chord" title="Next (→)">Next ►</button>
-        <button class="prog-btn ${state.progression.loopEnabled ? 'active' : ''}" id="loop-toggle" title="Loop">🔄 Loop</button>
-        <div class="tempo-control">
-            <label>⚡</label>
-            <input type="range" id="tempo-slider" min="40" max="200" value="${state.progression.tempo}">
-            <span id="tempo-value">${state.progression.tempo} BPM</span>
-        </div>
-    `;
+    return box;
+}
+
+/**
+ * Show the chord box of the shape on the fretboard in the full-size panel
+ */
+function updateChordBoxView() {
+    const existing = document.querySelector('.chord-box-panel');
+    if (!state.showChordBox) {
+        existing?.remove();
+        return;
+    }
     
-    container.appendChild(controls);
+    const panel = existing || document.createElement('section');
+    panel.className = 'chord-box-panel glass-panel';
+    panel.innerHTML = '<span class="chord-id-label">Chord box</span>';
     
-    // Insert after search panel
-    const searchPanel = document.querySelector('.search-panel');
-    if (searchPanel) {
-        searchPanel.after(container);
+    const frets = state.currentScale ? null : getActiveFrets();
+    if (!frets || frets.every(fret => fret < 0)) {
+        panel.innerHTML += '<span class="chord-box-empty">Show a chord or click a shape to see its box</span>';
     } else {
-        document.querySelector('.main-content')?.prepend(container);
+        const parsed = state.currentChord ? parseChordName(state.currentChord) : null;
+        const rootIndex = isValidChord(parsed) ? getNoteIndex(parsed.root) : -1;
+        const voicing = createVoicing(state.currentChord || '', frets, '', rootIndex, state.capo);
+        const title = state.currentChord ? spellChordName(state.currentChord, state.currentKey) : 'Custom shape';
+        panel.appendChild(renderChordBox(voicing, { size: 'large', title }));
     }
     
-    // Bind control events
-    document.getElementById('prev-chord')?.addEventListener('click', prevChord);
-    document.getElementById('next-chord')?.addEventListener('click', nextChord);
-    document.getElementById('play-pause')?.addEventListener('click', togglePlay);
-    document.getElementById('loop-toggle')?.addEventListener('click', toggleLoop);
-    
-    const tempoSlider = document.getElementById('tempo-slider');
-    tempoSlider?.addEventListener('input', (e) => {
-        state.progression.tempo = parseInt(e.target.value);
-        document.getElementById('tempo-value').textContent = `${state.progression.tempo} BPM`;
-        // Restart play if playing
-        if (state.progression.isPlaying) {
-            stopPlay();
-            startPlay();
-        }
-    });
+    if (!existing) {
+        document.querySelector('.fretboard-panel')?.after(panel);
+    }
 }
 
 /**
- * Update progression UI to reflect current state
+ * Toggle the full-size chord box view
+ * @param {boolean} showChordBox - Whether to show the chord box
  */
-function updateProgressionUI() {
-    const { currentIndex, isPlaying } = state.progression;
-    
-    // Update chip active states
-    document.querySelectorAll('.progression-chip').forEach((chip, index) => {
-        chip.classList.toggle('active', index === currentIndex);
-    });
-    
-    // Update play button
-    const playBtn = document.getElementById('play-pause');
-    if (playBtn) {
-        playBtn.innerHTML = isPlaying ? '⏸ Pause' : '▶ Play';
-    }
+function setChordBoxView(showChordBox) {
+    state.showChordBox = showChordBox;
+    document.getElementById('chord-box-btn')?.classList.toggle('active', showChordBox);
+    updateChordBoxView();
 }
 
+// ================================
+// VOICE LEADING
+// ================================
+
 /**
- * Toggle auto-play
+ * SVG namespace for the movement arrows
  */
-function togglePlay() {
-    if (state.progression.isPlaying) {
-        stopPlay();
-    } else {
-        startPlay();
-    }
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Get a voicing's sounding notes from lowest to highest
+ * @param {Object} voicing - Voicing object
+ * @returns {Array<Object>} {string, fret, midi} entries
+ */
+function getVoicingPitches(voicing) {
+    return voicing.positions
+        .map(pos => ({ string: pos.string, fret: pos.fret, midi: getMidiAtPosition(pos.string, pos.fret) }))
+        .sort((a, b) => a.midi - b.midi);
 }
 
 /**
- * Start auto-play
+ * Pair the notes of two chords one to one, lowest with lowest, at the least total movement
+ * When the counts differ, the extra notes of the larger chord are left unpaired; skipping
+ * a note costs its distance to the nearest note of the other chord.
+ * @param {Array<Object>} shorter - Notes of the chord with fewer voices, low to high
+ * @param {Array<Object>} longer - Notes of the other chord, low to high
+ * @returns {Object} {pairs: [[shorterNote, longerNote]], unpaired: [longerNote], cost}
  */
-function startPlay() {
-    const { tempo, beatsPerChord } = state.progression;
-    const interval = (60000 / tempo) * beatsPerChord; // ms per chord change
+function matchVoices(shorter, longer) {
+    const skipCost = note => Math.min(...shorter.map(other => Math.abs(other.midi - note.midi)));
+    
+    // best[i][j]: cheapest way to place the first j shorter notes among the first i longer notes
+    const best = longer.map(() => []);
+    best.unshift([0]);
+    for (let i = 1; i <= longer.length; i++) {
+        for (let j = 0; j <= Math.min(i, shorter.length); j++) {
+            const skip = j < i ? best[i - 1][j] + skipCost(longer[i - 1]) : Infinity;
+            const pair = j > 0 ? best[i - 1][j - 1] + Math.abs(longer[i - 1].midi - shorter[j - 1].midi) : Infinity;
+            best[i][j] = Math.min(skip, pair);
+        }
+    }
     
-    state.progression.isPlaying = true;
-    updateProgressionUI();
+    // Walk back from the full match to recover the pairing
+    const pairs = [];
+    const unpaired = [];
+    for (let i = longer.length, j = shorter.length; i > 0; i--) {
+        const paired = j > 0 && best[i][j] === best[i - 1][j - 1] + Math.abs(longer[i - 1].midi - shorter[j - 1].midi);
+        if (paired) {
+            pairs.unshift([shorter[--j], longer[i - 1]]);
+        } else {
+            unpaired.unshift(longer[i - 1]);
+        }
+    }
     
-    playIntervalId = setInterval(() => {
-        nextChord();
-    }, interval);
+    return { pairs, unpaired, cost: best[longer.length][shorter.length] };
 }
 
 /**
- * Stop auto-play
+ * Pair each voice of a chord with one voice of the previous chord
+ * Voices keep their order from bass to top; when the chords have different sizes the
+ * leftover notes are reported as added or dropped.
+ * @param {Object} fromVoicing - Previous voicing
+ * @param {Object} toVoicing - Next voicing
+ * @returns {Object} {voices: [{from, to, semitones}], added, dropped, held, cost}; cost is the
+ *          total semitones the paired voices move plus each added or dropped note's distance
+ *          to the nearest note of the other chord
  */
-function stopPlay() {
-    state.progression.isPlaying = false;
-    updateProgressionUI();
+function analyzeVoiceLeading(fromVoicing, toVoicing) {
+    const from = getVoicingPitches(fromVoicing);
+    const to = getVoicingPitches(toVoicing);
+    const fromIsShorter = from.length <= to.length;
+    const match = fromIsShorter ? matchVoices(from, to) : matchVoices(to, from);
+    
+    const voices = match.pairs.map(([a, b]) => {
+        const [source, target] = fromIsShorter ? [a, b] : [b, a];
+        return { from: source, to: target, semitones: target.midi - source.midi };
+    });
     
-    if (playIntervalId) {
-        clearInterval(playIntervalId);
-        playIntervalId = null;
-    }
+    return {
+        voices,
+        added: fromIsShorter ? match.unpaired : [],
+        dropped: fromIsShorter ? [] : match.unpaired,
+        held: voices.filter(voice => voice.semitones === 0).length,
+        cost: match.cost,
+    };
 }
 
 /**
- * Toggle loop mode
+ * Voice-leading cost between two voicings (total semitones the voices move)
+ * @param {Object} voicing1 - First voicing
+ * @param {Object} voicing2 - Second voicing
+ * @returns {number} Voice-leading cost
  */
-function toggleLoop() {
-    state.progression.loopEnabled = !state.progression.loopEnabled;
-    document.getElementById('loop-toggle')?.classList.toggle('active', state.progression.loopEnabled);
+function calculateVoiceLeadingCost(voicing1, voicing2) {
+    return analyzeVoiceLeading(voicing1, voicing2).cost;
 }
 
 /**
- * Initialize keyboard shortcuts for progression navigation
+ * Describe each voice's movement from bass to top, e.g. "C→B −1 · E held · G dropped"
+ * @param {Object} analysis - Result of analyzeVoiceLeading
+ * @returns {string} Summary
  */
-function initKeyboardShortcuts() {
-    document.addEventListener('keydown', (e) => {
-        // Only handle if progression is active
-        if (state.progression.chords.length === 0) return;
+function formatVoiceLeadingSummary(analysis) {
+    const name = note => getSpelledNoteAtPosition(note.string, note.fret);
+    return [
+        ...analysis.voices.map(({ from, to, semitones }) => semitones === 0
+            ? `${name(to)} held`
+            : `${name(from)}→${name(to)} ${semitones > 0 ? '+' : '−'}${Math.abs(semitones)}`),
+        ...analysis.dropped.map(note => `${name(note)} dropped`),
+        ...analysis.added.map(note => `${name(note)} added`),
+    ].join(' · ');
+}
+
+/**
+ * Get the centre of a note position relative to the fretboard
+ * @param {HTMLElement} fretboard - Fretboard element
+ * @param {Object} note - {string, fret}
+ * @returns {Object|null} {x, y} in pixels
+ */
+function getPositionCenter(fretboard, note) {
+    const element = document.getElementById(getPositionId(note.string, note.fret));
+    if (!element) return null;
+    
+    const board = fretboard.getBoundingClientRect();
+    const rect = element.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2 - board.left, y: rect.top + rect.height / 2 - board.top };
+}
+
+/**
+ * Mark held tones and draw arrows for moving voices
+ * @param {Object} analysis - Result of analyzeVoiceLeading
+ */
+function renderVoiceLeadingOverlay(analysis) {
+    clearVoiceLeadingOverlay();
+    const fretboard = document.querySelector('.fretboard');
+    if (!fretboard) return;
+    
+    const layer = document.createElementNS(SVG_NS, 'svg');
+    layer.setAttribute('class', 'voice-leading-layer');
+    layer.innerHTML = `
+        <defs>
+            <marker id="voice-arrow" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z"></path>
+            </marker>
+        </defs>
+    `;
+    
+    analysis.voices.forEach(({ from, to, semitones }) => {
+        if (semitones === 0) {
+            document.getElementById(getPositionId(to.string, to.fret))
+                ?.querySelector('.note-marker')?.classList.add('held');
+            return;
+        }
         
-        // Don't handle if typing in input
-        if (e.target.tagName === 'INPUT') return;
+        const start = getPositionCenter(fretboard, from);
+        const end = getPositionCenter(fretboard, to);
+        if (!start || !end) return;
         
-        switch (e.key) {
-            case 'ArrowLeft':
-                e.preventDefault();
-                prevChord();
-                break;
-            case 'ArrowRight':
-                e.preventDefault();
-                nextChord();
-                break;
-            case ' ':
-                e.preventDefault();
-                togglePlay();
-                break;
-            case '1': case '2': case '3': case '4': 
-            case '5': case '6': case '7': case '8': case '9':
-                const index = parseInt(e.key) - 1;
-                if (index < state.progression.chords.length) {
-                    e.preventDefault();
-                    goToChord(index);
-                }
-                break;
-        }
+        // Stop short of the marker circles so the arrowhead stays visible
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        if (length < 28) return;
+        const trim = 14 / length;
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('x1', start.x + (end.x - start.x) * trim);
+        line.setAttribute('y1', start.y + (end.y - start.y) * trim);
+        line.setAttribute('x2', end.x - (end.x - start.x) * trim);
+        line.setAttribute('y2', end.y - (end.y - start.y) * trim);
+        line.setAttribute('class', semitones > 0 ? 'voice-up' : 'voice-down');
+        line.setAttribute('marker-end', 'url(#voice-arrow)');
+        layer.appendChild(line);
     });
+    
+    fretboard.appendChild(layer);
+}
+
+/**
+ * Remove held-tone marks and movement arrows
+ */
+function clearVoiceLeadingOverlay() {
+    document.querySelector('.voice-leading-layer')?.remove();
+    document.querySelectorAll('.note-marker.held').forEach(marker => marker.classList.remove('held'));
+}
+
+/**
+ * Show the voice leading into the current progression chord
+ * @param {Object|null} fromVoicing - Voicing shown before (null hides the overlay)
+ * @param {Object} toVoicing - Voicing now shown
+ */
+function updateVoiceLeading(fromVoicing, toVoicing) {
+    const summary = document.querySelector('.voice-leading-summary');
+    if (!state.progression.showVoiceLeading || !fromVoicing || !toVoicing) {
+        clearVoiceLeadingOverlay();
+        if (summary) summary.textContent = '';
+        return;
+    }
+    
+    const analysis = analyzeVoiceLeading(fromVoicing, toVoicing);
+    renderVoiceLeadingOverlay(analysis);
+    if (summary) {
+        summary.textContent = `${spellChordName(fromVoicing.chordName, state.currentKey)} → ` +
+            `${spellChordName(toVoicing.chordName, state.currentKey)}: ${formatVoiceLeadingSummary(analysis)}`;
+    }
+}
+
+/**
+ * Toggle the voice-leading overlay
+ */
+function toggleVoiceLeading() {
+    state.progression.showVoiceLeading = !state.progression.showVoiceLeading;
+    document.getElementById('voice-leading-toggle')?.classList.toggle('active', state.progression.showVoiceLeading);
+    
+    const { voicings, currentIndex } = state.progression;
+    const previous = voicings[(currentIndex - 1 + voicings.length) % voicings.length];
+    updateVoiceLeading(voicings.length > 1 ? previous : null, voicings[currentIndex]);
 }
 
 // ================================
@@ -2034,8 +6848,40 @@ function initKeyboardShortcuts() {
  * @param {string} query - Search query
  */
 function performSearchEnhanced(query) {
-    // Check if this is a progression
-    if (isProgression(query)) {
+    // Chord melody: "Cmaj7 top E4", "C:E Am:C F:A G:B", "melody E C A B over C Am F G"
+    const melody = parseMelodyQuery(query);
+    if (melody?.error) {
+        showNoResults(query, melody.error);
+        return;
+    }
+    if (melody) {
+        loadChordMelody(melody.chords, melody.notes);
+        hideSearchResults();
+        return;
+    }
+    
+    // "key of G", "E harmonic minor chords": open the diatonic palette
+    const palette = parsePaletteQuery(query);
+    if (palette) {
+        openKeyPalette({ tonic: palette.tonic, mode: DIATONIC_SCALES[palette.scale].mode }, palette.scale);
+        hideSearchResults();
+        return;
+    }
+    
+    // Roman numerals and Nashville numbers resolve against their key
+    const numeral = parseNumeralProgression(query);
+    if (numeral?.error) {
+        showNoResults(query, numeral.error);
+        return;
+    }
+    if (numeral) {
+        loadProgression(numeral.chords, { key: numeral.key });
+        hideSearchResults();
+        return;
+    }
+    
+    // Check if this is a progression (scale names like "A dorian" also contain spaces)
+    if (isProgression(query) && !parseScaleName(query)) {
         const chords = parseProgression(query);
         if (chords.length > 1) {
             loadProgression(chords);
@@ -2077,7 +6923,8 @@ initSearch = function() {
         clearTimeout(debounceTimer);
         debounceTimer = setTimeout(() => {
             const value = searchInput.value;
-            if (isProgression(value)) {
+            if (parseMelodyQuery(value) || parseNumeralProgression(value) ||
+                (isProgression(value) && !parseScaleName(value))) {
                 // Show progression preview
                 showProgressionPreview(value);
             } else {
@@ -2095,7 +6942,16 @@ initSearch = function() {
  * @param {string} input - Progression input
  */
 function showProgressionPreview(input) {
-    const chords = parseProgression(input);
+    const melody = parseMelodyQuery(input);
+    const numeral = melody ? null : parseNumeralProgression(input);
+    const error = melody?.error || numeral?.error;
+    if (error) {
+        showNoResults(input, error);
+        return;
+    }
+    
+    const chords = melody ? melody.chords : numeral ? numeral.chords : parseProgression(input);
+    const key = numeral ? numeral.key : null;
     if (chords.length === 0) {
         hideSearchResults();
         return;
@@ -2109,13 +6965,13 @@ function showProgressionPreview(input) {
     }
     
     resultsContainer.innerHTML = `
-        <div class="results-header">Chord Progression Detected</div>
+        <div class="results-header">${melody ? 'Chord Melody' : 'Chord Progression Detected'}${key ? ` in ${formatKey(key)}` : ''}</div>
         <div class="search-result-item progression-preview">
             <span class="result-icon">🎼</span>
             <div class="progression-preview-content">
                 <strong>${chords.length} chords:</strong>
                 <div class="preview-chords">${chords.map((c, i) => 
-                    `<span class="chord-tag">${i + 1}. ${c}</span>`
+                    `<span class="chord-tag">${i + 1}. ${numeral ? `${numeral.numerals[i]} = ` : ''}${c}${melody ? ` ♪ ${melody.notes[i].name}` : ''}</span>`
                 ).join('')}</div>
                 <small>Press Enter to optimize positions for minimal hand movement</small>
             </div>
@@ -2123,7 +6979,12 @@ function showProgressionPreview(input) {
     `;
     
     resultsContainer.querySelector('.progression-preview')?.addEventListener('click', () => {
-        loadProgression(chords);
+        if (melody) {
+            loadChordMelody(melody.chords, melody.notes);
+            hideSearchResults();
+            return;
+        }
+        loadProgression(chords, { key });
         hideSearchResults();
         document.querySelector('.search-input').value = chords.join(', ');
     });
@@ -2139,17 +7000,66 @@ window.GuitarFretboard = {
     clearPosition,
     clearAllHighlights,
     highlightChord,
+    setDegreeMode,
+    getDegreeAtPosition,
     getNoteAtPosition,
     vibrateString,
+    setTuning,
+    setInstrument,
+    setCapo,
+    adviseCapo,
+    transposeProgression,
+    transposeProgressionToKey,
+    transposeSong,
+    detectKey,
+    analyzeChordInKey,
+    parseNumeralProgression,
+    getDiatonicChords,
+    openKeyPalette,
+    getChordScale,
+    toggleScaleOverlay,
+    getSubstitutions,
+    applySubstitution,
+    analyzeVoiceLeading,
+    toggleVoiceLeading,
+    assignFingering,
+    setFingeringMode,
+    scoreVoicingDifficulty,
+    setHandProfile,
+    pinVoicing,
+    setProgressionConstraint,
+    findProgressionPaths,
+    useProgressionPath,
+    parseMelodyQuery,
+    findMelodyVoicings,
+    loadChordMelody,
+    renderChordBox,
+    setChordBoxView,
+    appendToProgression,
     getState: () => state,
     CONFIG,
     // Chord functions
     parseChordName,
+    spellChordName,
+    transposeChordName,
+    parseKey,
     calculateChordPositions,
     displayChord,
     getChordNotes,
+    identifyChord,
+    // Voicing functions
+    generateAllVoicings,
+    openVoicingBrowser,
+    stepVoicing,
+    setVoicingFilter,
+    // Scale functions
+    parseScaleName,
+    getScaleNotes,
+    calculateScalePositions,
+    displayScale,
     // Search functions
     searchSongs,
     searchChords,
+    searchScales,
     handleSearch,
 };